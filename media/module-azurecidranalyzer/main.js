@@ -26,24 +26,58 @@ window.addEventListener('error', (event) => {
 document.addEventListener('DOMContentLoaded', () => {
   const vscode = acquireVsCodeApi();
   const cidrInput = document.getElementById('cidrInput');
+  const cidrValidationList = document.getElementById('cidrValidation');
+  const matchModeSelect = document.getElementById('matchMode');
+  const searchModeSelect = document.getElementById('searchMode');
+  const freeSpaceOptionsDiv = document.getElementById('freeSpaceOptions');
+  const freeBlockSizeInput = document.getElementById('freeBlockSize');
+  const freeCandidateCountInput = document.getElementById('freeCandidateCount');
   const searchBtn = document.getElementById('searchBtn');
+  const cancelBtn = document.getElementById('cancelBtn');
   const exportBtn = document.getElementById('exportBtn');
+  const exportJsonBtn = document.getElementById('exportJsonBtn');
+  const exportXlsxBtn = document.getElementById('exportXlsxBtn');
+  const exportReportBtn = document.getElementById('exportReportBtn');
   const subscriptionOptionsDiv = document.getElementById('subscriptionOptions');
+  const tenantFilterSelect = document.getElementById('tenantFilter');
+  const scopeSelector = document.getElementById('scopeSelector');
+  const subscriptionScopeDiv = document.getElementById('subscriptionScope');
+  const managementGroupScopeDiv = document.getElementById('managementGroupScope');
+  const managementGroupOptionsDiv = document.getElementById('managementGroupOptions');
+  const resourceTypeOptionsDiv = document.getElementById('resourceTypeOptions');
   const subscriptionsProgressDiv = document.getElementById('subscriptions');
   const resultsDiv = document.getElementById('results');
   const statusEl = document.getElementById('status');
+  const tokenWarningEl = document.getElementById('tokenWarning');
 
-  if (!cidrInput || !searchBtn || !exportBtn || !subscriptionOptionsDiv || !subscriptionsProgressDiv || !resultsDiv || !statusEl) {
+  if (!cidrInput || !cidrValidationList || !matchModeSelect || !searchModeSelect || !freeSpaceOptionsDiv || !freeBlockSizeInput || !freeCandidateCountInput || !searchBtn || !cancelBtn || !exportBtn || !exportJsonBtn || !exportXlsxBtn || !exportReportBtn || !subscriptionOptionsDiv || !tenantFilterSelect || !scopeSelector || !subscriptionScopeDiv || !managementGroupScopeDiv || !managementGroupOptionsDiv || !resourceTypeOptionsDiv || !subscriptionsProgressDiv || !resultsDiv || !statusEl || !tokenWarningEl) {
     console.error('Azure CIDR Analyzer: missing DOM elements');
     return;
   }
 
+  // Subnets this full leave little room for scaling out or redeploying
+  const CAPACITY_COLUMNS = ['utilisationPercent', 'subnetAllocationPercent'];
+  const CAPACITY_WARNING_PERCENT = 80;
+  const CAPACITY_CRITICAL_PERCENT = 95;
+
   const subscriptionState = {
     options: [],
-    selected: new Set()
+    selected: new Set(),
+    tenant: ''
+  };
+
+  const managementGroupState = {
+    options: [],
+    selected: new Set(),
+    requested: false
   };
 
+  let scope = 'subscriptions';
+
   exportBtn.disabled = true;
+  exportJsonBtn.disabled = true;
+  exportXlsxBtn.disabled = true;
+  exportReportBtn.disabled = true;
 
   const setStatus = (message, kind = 'info') => {
     statusEl.textContent = message || '';
@@ -51,9 +85,13 @@ document.addEventListener('DOMContentLoaded', () => {
   };
 
   const setLoading = (value) => {
+    cancelBtn.disabled = !value;
     if (value) {
       searchBtn.disabled = true;
       exportBtn.disabled = true;
+      exportJsonBtn.disabled = true;
+      exportXlsxBtn.disabled = true;
+      exportReportBtn.disabled = true;
       setStatus('Searching Azure Resource Graph…', 'loading');
     } else if (!statusEl.textContent) {
       searchBtn.disabled = false;
@@ -71,6 +109,24 @@ document.addEventListener('DOMContentLoaded', () => {
     resultsDiv.appendChild(p);
   };
 
+  const renderInputValidation = (entries) => {
+    cidrValidationList.innerHTML = '';
+    let hasErrors = false;
+
+    (entries || []).forEach(entry => {
+      if (!entry.error && !entry.notice) {
+        return;
+      }
+      const item = document.createElement('li');
+      item.className = entry.error ? 'error' : 'notice';
+      item.textContent = `${entry.input}: ${entry.error || entry.notice}`;
+      cidrValidationList.appendChild(item);
+      hasErrors = hasErrors || !!entry.error;
+    });
+
+    cidrInput.invalid = hasErrors;
+  };
+
   const resetSubscriptionsView = () => {
     subscriptionsProgressDiv.innerHTML = '';
   };
@@ -81,29 +137,70 @@ document.addEventListener('DOMContentLoaded', () => {
     allCheckbox.checked = subscriptionState.selected.size === 0;
   };
 
-  const renderSubscriptionOptions = (options) => {
-    subscriptionState.options = options;
-    subscriptionState.selected.clear();
-    subscriptionOptionsDiv.innerHTML = '';
+  const renderTenantFilter = (options) => {
+    const tenants = new Map();
+    options.forEach(option => {
+      if (option.tenantId) {
+        tenants.set(option.tenantId, option.tenantName || option.tenantId);
+      }
+    });
 
-    const buildCheckbox = (labelText, value, checked = false, disabled = false) => {
-      const wrapper = document.createElement('label');
-      wrapper.className = 'subscription-option';
+    tenantFilterSelect.innerHTML = '';
+    tenantFilterSelect.hidden = tenants.size < 2;
+    if (!subscriptionState.tenant || !tenants.has(subscriptionState.tenant)) {
+      subscriptionState.tenant = '';
+    }
 
-      const checkbox = document.createElement('input');
-      checkbox.type = 'checkbox';
-      checkbox.dataset.id = value;
-      checkbox.checked = checked;
-      checkbox.disabled = disabled;
+    const allOption = document.createElement('vscode-option');
+    allOption.value = '';
+    allOption.textContent = 'All tenants';
+    allOption.selected = subscriptionState.tenant === '';
+    tenantFilterSelect.appendChild(allOption);
+
+    Array.from(tenants.entries())
+      .sort((a, b) => a[1].localeCompare(b[1]))
+      .forEach(([tenantId, tenantName]) => {
+        const option = document.createElement('vscode-option');
+        option.value = tenantId;
+        option.textContent = tenantName;
+        option.selected = subscriptionState.tenant === tenantId;
+        tenantFilterSelect.appendChild(option);
+      });
+  };
 
-      const label = document.createElement('span');
-      label.textContent = labelText;
+  const buildCheckbox = (labelText, value, checked = false, disabled = false) => {
+    const wrapper = document.createElement('label');
+    wrapper.className = 'subscription-option';
 
-      wrapper.append(checkbox, label);
-      return { wrapper, checkbox };
-    };
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.dataset.id = value;
+    checkbox.checked = checked;
+    checkbox.disabled = disabled;
 
-    const allEntry = buildCheckbox('All subscriptions', '__all__', true, options.length === 0);
+    const label = document.createElement('span');
+    label.textContent = labelText;
+
+    wrapper.append(checkbox, label);
+    return { wrapper, checkbox };
+  };
+
+  const renderSubscriptionOptions = (options) => {
+    subscriptionState.options = options;
+    subscriptionState.selected.clear();
+    subscriptionOptionsDiv.innerHTML = '';
+    renderTenantFilter(options);
+
+    const visible = subscriptionState.tenant
+      ? options.filter(option => option.tenantId === subscriptionState.tenant)
+      : options;
+
+    const allEntry = buildCheckbox(
+      subscriptionState.tenant ? 'All subscriptions in this tenant' : 'All subscriptions',
+      '__all__',
+      true,
+      visible.length === 0
+    );
     allEntry.checkbox.addEventListener('change', () => {
       if (allEntry.checkbox.checked) {
         subscriptionState.selected.clear();
@@ -118,8 +215,9 @@ document.addEventListener('DOMContentLoaded', () => {
     });
     subscriptionOptionsDiv.appendChild(allEntry.wrapper);
 
-    options.forEach(option => {
-      const label = option.name ? `${option.name} (${option.id})` : option.id;
+    visible.forEach(option => {
+      const baseLabel = option.name ? `${option.name} (${option.id})` : option.id;
+      const label = option.tenantName ? `${baseLabel} · ${option.tenantName}` : baseLabel;
       const { wrapper, checkbox } = buildCheckbox(label, option.id, false, false);
       checkbox.addEventListener('change', () => {
         if (checkbox.checked) {
@@ -138,6 +236,53 @@ document.addEventListener('DOMContentLoaded', () => {
     ensureAllCheckbox();
   };
 
+  const renderManagementGroupOptions = (groups, error) => {
+    managementGroupState.options = groups;
+    managementGroupState.selected.clear();
+    managementGroupOptionsDiv.innerHTML = '';
+
+    if (error) {
+      // Let the next switch to this scope try again
+      managementGroupState.requested = false;
+    }
+
+    if (!groups.length) {
+      const empty = document.createElement('p');
+      empty.className = 'empty-state';
+      empty.textContent = error || 'No management groups are visible to this account.';
+      managementGroupOptionsDiv.appendChild(empty);
+      return;
+    }
+
+    groups.forEach(group => {
+      const label = group.displayName && group.displayName !== group.id ? `${group.displayName} (${group.id})` : group.id;
+      const { wrapper, checkbox } = buildCheckbox(label, group.id);
+      // Indent by depth so the hierarchy reads as a tree
+      wrapper.style.paddingLeft = `${(group.depth || 0) * 16}px`;
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          managementGroupState.selected.add(group.id);
+        } else {
+          managementGroupState.selected.delete(group.id);
+        }
+      });
+      managementGroupOptionsDiv.appendChild(wrapper);
+    });
+  };
+
+  const setScope = (value) => {
+    scope = value === 'managementGroups' ? 'managementGroups' : 'subscriptions';
+    subscriptionScopeDiv.hidden = scope !== 'subscriptions';
+    managementGroupScopeDiv.hidden = scope !== 'managementGroups';
+
+    // Management groups are only fetched once the user asks for them
+    if (scope === 'managementGroups' && !managementGroupState.requested) {
+      managementGroupState.requested = true;
+      managementGroupOptionsDiv.textContent = 'Loading management groups…';
+      vscode.postMessage({ command: 'requestManagementGroups' });
+    }
+  };
+
   const createSubscriptionProgressItem = (subscription) => {
     const wrapper = document.createElement('div');
     wrapper.className = 'subscription-item';
@@ -151,6 +296,9 @@ document.addEventListener('DOMContentLoaded', () => {
     label.textContent = subscription.name
       ? `${subscription.name} (${subscription.id})`
       : subscription.id;
+    if (subscription.tenantName) {
+      label.textContent += ` · ${subscription.tenantName}`;
+    }
 
     const note = document.createElement('span');
     note.className = 'subscription-note';
@@ -167,12 +315,18 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     const icon = item.querySelector('.status-icon');
     const note = item.querySelector('.subscription-note');
-    icon.classList.remove('loading', 'success', 'error');
+    icon.classList.remove('loading', 'success', 'error', 'cancelled');
 
     switch (status) {
       case 'running':
         icon.classList.add('loading');
-        note.textContent = 'Searching…';
+        note.textContent = detail?.page
+          ? `Searching… page ${detail.page} (${detail.rows ?? 0} prefix${detail.rows === 1 ? '' : 'es'} read)`
+          : 'Searching…';
+        break;
+      case 'waiting':
+        icon.classList.add('loading');
+        note.textContent = detail?.message || 'Waiting for quota…';
         break;
       case 'done':
         icon.classList.add('success');
@@ -182,6 +336,10 @@ document.addEventListener('DOMContentLoaded', () => {
         icon.classList.add('error');
         note.textContent = detail?.message ? `Error: ${detail.message}` : 'Error';
         break;
+      case 'cancelled':
+        icon.classList.add('cancelled');
+        note.textContent = 'Cancelled';
+        break;
       default:
         note.textContent = '';
         break;
@@ -194,6 +352,9 @@ document.addEventListener('DOMContentLoaded', () => {
     if (!Array.isArray(results) || results.length === 0) {
       renderEmpty(`No results for ${joinedCidrs || 'your query'}.`);
       exportBtn.disabled = true;
+      exportJsonBtn.disabled = true;
+      exportXlsxBtn.disabled = true;
+      exportReportBtn.disabled = true;
       return;
     }
 
@@ -223,6 +384,20 @@ document.addEventListener('DOMContentLoaded', () => {
         const value = row ? row[col] : undefined;
         if (value === null || value === undefined) {
           td.textContent = '';
+        } else if (col === 'connectedConflict') {
+          // Overlap with a peered or hub-connected network, which breaks routing between them
+          const badge = document.createElement('span');
+          badge.className = 'conflict-badge';
+          badge.textContent = 'connected conflict';
+          badge.title = `Overlaps ${value}`;
+          td.append(badge, ` ${value}`);
+        } else if (CAPACITY_COLUMNS.includes(col) && typeof value === 'number') {
+          td.textContent = `${value}%`;
+          if (value >= CAPACITY_CRITICAL_PERCENT) {
+            td.classList.add('capacity-critical');
+          } else if (value >= CAPACITY_WARNING_PERCENT) {
+            td.classList.add('capacity-warning');
+          }
         } else if (typeof value === 'object') {
           td.textContent = JSON.stringify(value);
         } else {
@@ -236,28 +411,119 @@ document.addEventListener('DOMContentLoaded', () => {
     table.appendChild(body);
     resultsDiv.appendChild(table);
     exportBtn.disabled = false;
+    exportJsonBtn.disabled = false;
+    exportXlsxBtn.disabled = false;
+    exportReportBtn.disabled = false;
   };
 
   searchBtn.addEventListener('click', () => {
     const cidr = cidrInput.value.trim();
     resetSubscriptionsView();
+    renderInputValidation([]);
     resultsDiv.innerHTML = '';
     exportBtn.disabled = true;
+    exportJsonBtn.disabled = true;
+    exportXlsxBtn.disabled = true;
+    exportReportBtn.disabled = true;
+
+    const prefixSources = Array.from(resourceTypeOptionsDiv.querySelectorAll('input[type="checkbox"]'))
+      .filter(cb => cb.checked)
+      .map(cb => cb.dataset.id);
+    if (!prefixSources.length) {
+      setStatus('Select at least one resource type.', 'warning');
+      return;
+    }
+
+    let freeSpace;
+    if (searchModeSelect.value === 'freeSpace') {
+      const prefixLength = Number(String(freeBlockSizeInput.value || '').trim().replace(/^\//, ''));
+      if (!cidr || !Number.isInteger(prefixLength)) {
+        setStatus('Enter a parent prefix and a block size such as /24 to find free address space.', 'warning');
+        return;
+      }
+      freeSpace = {
+        prefixLength,
+        count: Number(freeCandidateCountInput.value) || undefined
+      };
+    }
 
-    const selectedIds = Array.from(subscriptionState.selected);
+    if (scope === 'managementGroups') {
+      if (!managementGroupState.selected.size) {
+        setStatus('Select at least one management group.', 'warning');
+        return;
+      }
+      vscode.postMessage({
+        command: 'lookupCidr',
+        cidr,
+        matchMode: matchModeSelect.value || 'exact',
+        scope,
+        managementGroups: Array.from(managementGroupState.selected),
+        prefixSources,
+        freeSpace
+      });
+      return;
+    }
+
+    let selectedIds = Array.from(subscriptionState.selected);
     ensureAllCheckbox();
 
+    // "All subscriptions" under a tenant filter means every subscription of that tenant
+    if (!selectedIds.length && subscriptionState.tenant) {
+      selectedIds = subscriptionState.options
+        .filter(option => option.tenantId === subscriptionState.tenant)
+        .map(option => option.id);
+    }
+
     vscode.postMessage({
       command: 'lookupCidr',
       cidr,
-      subscriptions: selectedIds.length ? selectedIds : undefined
+      matchMode: matchModeSelect.value || 'exact',
+      scope,
+      subscriptions: selectedIds.length ? selectedIds : undefined,
+      prefixSources,
+      freeSpace
     });
   });
 
+  tenantFilterSelect.addEventListener('change', () => {
+    subscriptionState.tenant = tenantFilterSelect.value || '';
+    renderSubscriptionOptions(subscriptionState.options);
+  });
+
+  searchModeSelect.addEventListener('change', () => {
+    const freeSpaceMode = searchModeSelect.value === 'freeSpace';
+    freeSpaceOptionsDiv.hidden = !freeSpaceMode;
+    // Free space always looks at every prefix overlapping the parent
+    matchModeSelect.disabled = freeSpaceMode;
+  });
+
+  scopeSelector.addEventListener('change', () => {
+    const checked = Array.from(scopeSelector.querySelectorAll('vscode-radio')).find(radio => radio.checked);
+    setScope(checked ? checked.value : 'subscriptions');
+  });
+
+  cancelBtn.addEventListener('click', () => {
+    cancelBtn.disabled = true;
+    setStatus('Cancelling search…', 'loading');
+    vscode.postMessage({ command: 'cancelSearch' });
+  });
+
   exportBtn.addEventListener('click', () => {
     vscode.postMessage({ command: 'exportCsv' });
   });
 
+  exportJsonBtn.addEventListener('click', () => {
+    vscode.postMessage({ command: 'exportJson' });
+  });
+
+  exportXlsxBtn.addEventListener('click', () => {
+    vscode.postMessage({ command: 'exportXlsx' });
+  });
+
+  exportReportBtn.addEventListener('click', () => {
+    vscode.postMessage({ command: 'exportReport' });
+  });
+
   // Request subscription options on load
   vscode.postMessage({ command: 'requestSubscriptions' });
 
@@ -268,20 +534,41 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     switch (data.command) {
+      case 'tokenWarning':
+        tokenWarningEl.textContent = data.message || '';
+        break;
+      case 'inputValidation':
+        renderInputValidation(data.entries);
+        break;
       case 'setLoading':
         setLoading(!!data.value);
         break;
       case 'subscriptionOptions':
         renderSubscriptionOptions(data.subscriptions || []);
         break;
+      case 'managementGroupOptions':
+        renderManagementGroupOptions(data.groups || [], data.error);
+        break;
       case 'initSubscriptions':
         resetSubscriptionsView();
         if (Array.isArray(data.subscriptions)) {
           data.subscriptions.forEach(createSubscriptionProgressItem);
         }
         break;
+      case 'cancelPendingSubscriptions':
+        subscriptionsProgressDiv.querySelectorAll('.subscription-item').forEach(item => {
+          if (item.querySelector('.status-icon.loading')) {
+            updateSubscriptionStatus(item.dataset.id, 'cancelled');
+          }
+        });
+        break;
       case 'subscriptionStatus':
-        updateSubscriptionStatus(data.subscriptionId, data.status, { count: data.count, message: data.message });
+        updateSubscriptionStatus(data.subscriptionId, data.status, {
+          count: data.count,
+          message: data.message,
+          page: data.page,
+          rows: data.rows
+        });
         break;
       case 'displayResults':
         renderResults(data.results, data.cidrs, data.columns);
@@ -293,6 +580,9 @@ document.addEventListener('DOMContentLoaded', () => {
       case 'showError':
         setStatus(data.message || 'Unexpected error.', 'error');
         exportBtn.disabled = true;
+        exportJsonBtn.disabled = true;
+        exportXlsxBtn.disabled = true;
+        exportReportBtn.disabled = true;
         break;
       case 'showInfo':
         setStatus(data.message || '', 'info');
@@ -0,0 +1,156 @@
+/*****************************************************************************
+ *   Extension:   Microsoft Azure CIDRs Analyzer                             *
+ *   Author:      elelabdev                                                  *
+ *   Description: Query right from Visual Studio Code all Microsoft Azure    *
+ *                subscriptions and search for specific CIDRs in use.        *
+ *   Github:      https://github.com/elelabdev/microsoft-azure-cidr-analyzer *
+ *                                                                           *
+ *   Icon Author: elelab                                                     *
+ *                                                                           *
+ *   Copyright (C) 2025 elelab                                               *
+ *   https://www.elelab.dev                                                  *
+ *                                                                           *
+ *   Licensed under the MIT License. See LICENSE file in the project         *
+ *   root for details.                                                       *
+ ****************************************************************************/
+
+// media/module-overlapreport/main.js
+
+const SEVERITY_TITLES = {
+  identical: 'Identical address space',
+  partial: 'Partial overlap',
+  containment: 'Containment'
+};
+
+const COLUMNS = [
+  ['Resource', conflict => conflict.first.name],
+  ['Prefixes', conflict => conflict.firstPrefixes],
+  ['Subscription', conflict => conflict.first.subscription],
+  ['Resource group', conflict => conflict.first.resourceGroup],
+  ['Overlapping prefixes', conflict => conflict.secondPrefixes],
+  ['Overlapping resource', conflict => conflict.second.name],
+  ['Subscription', conflict => conflict.second.subscription],
+  ['Resource group', conflict => conflict.second.resourceGroup]
+];
+
+document.addEventListener('DOMContentLoaded', () => {
+  const vscode = acquireVsCodeApi();
+  const runBtn = document.getElementById('runBtn');
+  const cancelBtn = document.getElementById('cancelBtn');
+  const statusEl = document.getElementById('status');
+  const reportDiv = document.getElementById('report');
+
+  if (!runBtn || !cancelBtn || !statusEl || !reportDiv) {
+    console.error('Azure CIDR Overlap Report: missing DOM elements');
+    return;
+  }
+
+  const setStatus = (message, kind = 'info') => {
+    statusEl.textContent = message || '';
+    statusEl.className = kind ? kind : '';
+  };
+
+  const setLoading = (value) => {
+    runBtn.disabled = value;
+    cancelBtn.disabled = !value;
+    if (value) {
+      setStatus('Collecting address spaces from Azure Resource Graph…', 'loading');
+    }
+  };
+
+  const buildTable = (conflicts) => {
+    const table = document.createElement('vscode-table');
+    table.zebra = true;
+    table['bordered-rows'] = true;
+
+    const header = document.createElement('vscode-table-header');
+    header.slot = 'header';
+    COLUMNS.forEach(([title]) => {
+      const cell = document.createElement('vscode-table-header-cell');
+      cell.textContent = title;
+      header.appendChild(cell);
+    });
+    table.appendChild(header);
+
+    const body = document.createElement('vscode-table-body');
+    body.slot = 'body';
+    conflicts.forEach(conflict => {
+      const row = document.createElement('vscode-table-row');
+      COLUMNS.forEach(([, read]) => {
+        const cell = document.createElement('vscode-table-cell');
+        cell.textContent = read(conflict) || '';
+        row.appendChild(cell);
+      });
+      body.appendChild(row);
+    });
+    table.appendChild(body);
+    return table;
+  };
+
+  const renderReport = (groups, severities) => {
+    reportDiv.innerHTML = '';
+
+    severities.forEach(severity => {
+      const conflicts = groups[severity] || [];
+      const section = document.createElement('vscode-collapsible');
+      section.className = `severity-group severity-${severity}`;
+      section.title = SEVERITY_TITLES[severity] || severity;
+      // Empty groups stay collapsed so the real conflicts are what catches the eye
+      section.open = conflicts.length > 0;
+
+      const badge = document.createElement('span');
+      badge.className = 'severity-badge';
+      badge.slot = 'decorations';
+      badge.textContent = String(conflicts.length);
+      section.appendChild(badge);
+
+      if (conflicts.length) {
+        section.appendChild(buildTable(conflicts));
+      } else {
+        const empty = document.createElement('p');
+        empty.className = 'empty-state';
+        empty.textContent = 'No conflicts in this category.';
+        section.appendChild(empty);
+      }
+      reportDiv.appendChild(section);
+    });
+  };
+
+  runBtn.addEventListener('click', () => {
+    reportDiv.innerHTML = '';
+    vscode.postMessage({ command: 'runReport' });
+  });
+
+  cancelBtn.addEventListener('click', () => {
+    cancelBtn.disabled = true;
+    setStatus('Cancelling report…', 'loading');
+    vscode.postMessage({ command: 'cancelReport' });
+  });
+
+  window.addEventListener('message', (event) => {
+    const data = event.data;
+    if (!data) {
+      return;
+    }
+
+    switch (data.command) {
+      case 'setLoading':
+        setLoading(!!data.value);
+        break;
+      case 'reportProgress':
+        setStatus(`Querying Azure Resource Graph… ${data.done} of ${data.total} request${data.total === 1 ? '' : 's'} done`, 'loading');
+        break;
+      case 'displayReport':
+        renderReport(data.groups || {}, data.severities || Object.keys(SEVERITY_TITLES));
+        break;
+      case 'showError':
+        setStatus(data.message || 'Unexpected error.', 'error');
+        break;
+      case 'showInfo':
+        setStatus(data.message || '', 'info');
+        break;
+      default:
+        break;
+    }
+  });
+});
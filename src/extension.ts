@@ -14,16 +14,59 @@
 // src/extension.ts
 
 import * as vscode from 'vscode';
-import { openAzureCidrAnalyzer } from './modules/azureCidrAnalyzer';
+import { clearManagementGroupCache, openAzureCidrAnalyzer } from './modules/azureCidrAnalyzer';
+import { openOverlapReport } from './modules/overlapReport';
+import { migrateTokenSetting, promptForManualToken, promptForServicePrincipalCredential } from './helpers/auth';
 
 const AZURE_CIDR_COMMAND = 'azureCidrAnalyzer.open';
+const SET_TOKEN_COMMAND = 'azureCidrAnalyzer.setToken';
+const SET_SP_CREDENTIAL_COMMAND = 'azureCidrAnalyzer.setServicePrincipalCredential';
+const OVERLAP_REPORT_COMMAND = 'azureCidrAnalyzer.overlapReport';
+const AUTH_SETTINGS = [
+  'azureCidrAnalyzer.authenticationMethod',
+  'azureCidrAnalyzer.cloud',
+  'azureCidrAnalyzer.customCloud',
+  'azureCidrAnalyzer.servicePrincipal'
+];
 
 export function activate(context: vscode.ExtensionContext): void {
   const disposable = vscode.commands.registerCommand(AZURE_CIDR_COMMAND, () => {
     openAzureCidrAnalyzer(context);
   });
 
-  context.subscriptions.push(disposable);
+  const setTokenDisposable = vscode.commands.registerCommand(SET_TOKEN_COMMAND, () => promptForManualToken(context));
+  const setSpDisposable = vscode.commands.registerCommand(
+    SET_SP_CREDENTIAL_COMMAND,
+    () => promptForServicePrincipalCredential(context)
+  );
+  const overlapReportDisposable = vscode.commands.registerCommand(OVERLAP_REPORT_COMMAND, () => {
+    openOverlapReport(context);
+  });
+
+  // Tokens typed into the deprecated setting are moved to SecretStorage as soon as they appear
+  const configDisposable = vscode.workspace.onDidChangeConfiguration(event => {
+    if (event.affectsConfiguration('azureCidrAnalyzer.azureGraphToken')) {
+      void migrateTokenSetting(context);
+    }
+    if (AUTH_SETTINGS.some(section => event.affectsConfiguration(section))) {
+      clearManagementGroupCache();
+    }
+  });
+  // Signing in or out, or storing a new token or secret, may switch to another account or tenant
+  const sessionsDisposable = vscode.authentication.onDidChangeSessions(() => clearManagementGroupCache());
+  const secretsDisposable = context.secrets.onDidChange(() => clearManagementGroupCache());
+
+  context.subscriptions.push(
+    disposable,
+    setTokenDisposable,
+    setSpDisposable,
+    overlapReportDisposable,
+    configDisposable,
+    sessionsDisposable,
+    secretsDisposable
+  );
+
+  void migrateTokenSetting(context);
 }
 
 export function deactivate(): void {
@@ -0,0 +1,281 @@
+/*****************************************************************************
+ *   Extension:   Microsoft Azure CIDRs Analyzer                             *
+ *   Author:      elelabdev                                                  *
+ *   Description: Query right from Visual Studio Code all Microsoft Azure    *
+ *                subscriptions and search for specific CIDRs in use.        *
+ *   Github:      https://github.com/elelabdev/microsoft-azure-cidr-analyzer *
+ *                                                                           *
+ *   Icon Author: elelab                                                     *
+ *                                                                           *
+ *   Copyright (C) 2025 elelab                                               *
+ *   https://www.elelab.dev                                                  *
+ *                                                                           *
+ *   Licensed under the MIT License. See LICENSE file in the project         *
+ *   root for details.                                                       *
+ ****************************************************************************/
+
+// src/helpers/auth.ts
+
+// =========================================================================
+// IMPORT libraries or modules
+// =========================================================================
+import * as vscode from 'vscode';
+import * as fs from 'fs/promises';
+import { getAzureCliToken } from './azureCli';
+import { getServicePrincipalToken } from './servicePrincipal';
+import { CloudEndpoints, getCloudEndpoints } from './cloud';
+import { getTokenExpiry, getTokenObjectId } from './tokens';
+
+const CONFIG_NAMESPACE = 'azureCidrAnalyzer';
+const MANUAL_TOKEN_SECRET_KEY = 'azureCidrAnalyzer.azureGraphToken';
+const SP_SECRET_KEY = 'azureCidrAnalyzer.servicePrincipal.clientSecret';
+const SP_CERTIFICATE_KEY = 'azureCidrAnalyzer.servicePrincipal.certificate';
+
+// =========================================================================
+// TYPES
+// =========================================================================
+export type AuthenticationMethod = 'microsoft' | 'azureCli' | 'servicePrincipal' | 'manualToken';
+
+export interface AzureCredential {
+  // Stable identity used to key caches, since the token value changes on refresh
+  id: string;
+  // Without a tenant ID the token is issued for the home tenant of the signed-in identity.
+  // Silent requests fail instead of prompting when the tenant needs a fresh sign-in.
+  getToken(tenantId?: string, silent?: boolean): Promise<string>;
+  // False when only a single fixed token is available, so other tenants cannot be reached
+  supportsTenants: boolean;
+  // Known expiry of a static token, so the UI can warn before it stops working
+  expiresOn?: Date;
+  // Cloud the token was issued for; every ARM call must target the same cloud
+  cloud: CloudEndpoints;
+}
+
+
+// =========================================================================
+// EXPORT functions
+// =========================================================================
+
+// BEGIN function to resolve the credential selected in the extension settings
+export async function resolveCredential(
+  context: vscode.ExtensionContext,
+  interactive: boolean
+): Promise<AzureCredential | undefined> {
+  const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+  const method = config.get<AuthenticationMethod>('authenticationMethod', 'microsoft');
+  const cloud = getCloudEndpoints();
+  const scope = `${cloud.audience}.default`;
+
+  if (method === 'manualToken') {
+    const token = ((await context.secrets.get(MANUAL_TOKEN_SECRET_KEY)) || '').trim();
+    if (!token) {
+      if (!interactive) return;
+      throw new Error('Store an Azure Resource Graph token with the "Azure CIDR Analyzer: Set Azure Token" command first.');
+    }
+    return {
+      id: `${cloud.name}:manual:${token}`,
+      getToken: async () => token,
+      supportsTenants: false,
+      expiresOn: getTokenExpiry(token),
+      cloud
+    };
+  }
+
+  if (method === 'azureCli') {
+    // Fetching once up front validates the CLI login and tells us which tenant it is signed into
+    // The CLI targets whichever cloud `az cloud set` selected; only the audience is passed here
+    const initial = await getAzureCliToken(cloud.audience);
+    return {
+      // `az login` can switch users within a tenant, so the signed-in object is part of the identity
+      id: `${cloud.name}:azureCli:${initial.tenant ?? ''}:${getTokenObjectId(initial.accessToken) ?? ''}`,
+      getToken: async tenant => (await getAzureCliToken(cloud.audience, tenant)).accessToken,
+      supportsTenants: true,
+      cloud
+    };
+  }
+
+  if (method === 'servicePrincipal') {
+    const tenantId = (config.get<string>('servicePrincipal.tenantId') || '').trim();
+    const clientId = (config.get<string>('servicePrincipal.clientId') || '').trim();
+    const authority = (config.get<string>('servicePrincipal.authority') || '').trim() || cloud.authority;
+    const clientSecret = await context.secrets.get(SP_SECRET_KEY);
+    const certificatePem = await context.secrets.get(SP_CERTIFICATE_KEY);
+    if (!tenantId || !clientId || (!clientSecret && !certificatePem)) {
+      if (!interactive) return;
+      throw new Error('Configure the service principal tenant and client ID in the settings, then run "Azure CIDR Analyzer: Set Service Principal Credential".');
+    }
+
+    return {
+      id: `${cloud.name}:servicePrincipal:${tenantId}:${clientId}`,
+      // Multi-tenant app registrations can request tokens from any tenant they are consented in
+      getToken: tenant => getServicePrincipalToken({
+        authority,
+        tenantId: tenant ?? tenantId,
+        clientId,
+        scope,
+        clientSecret,
+        certificatePem
+      }),
+      supportsTenants: true,
+      cloud
+    };
+  }
+
+  const session = await getMicrosoftSession(cloud, undefined, interactive);
+  if (!session) return;
+
+  return {
+    id: `${cloud.name}:${cloud.authProviderId}:${session.account.id}`,
+    // Asking VS Code on every call lets the provider hand back a refreshed token
+    getToken: async (tenant, silent) => {
+      // Reuse an existing tenant session when there is one before asking the user to sign in again
+      const existing = tenant ? await getMicrosoftSession(cloud, tenant, false) : undefined;
+      if (!existing && tenant && silent) {
+        throw new Error('Not signed in to this tenant yet. Run a search to sign in.');
+      }
+      const current = existing ?? await getMicrosoftSession(cloud, tenant, true);
+      if (!current) {
+        throw new Error('Microsoft sign-in was cancelled.');
+      }
+      return current.accessToken;
+    },
+    supportsTenants: true,
+    cloud
+  };
+}
+// END function to resolve the credential selected in the extension settings
+
+
+
+// BEGIN function to prompt for a manual token and keep it in SecretStorage
+export async function promptForManualToken(context: vscode.ExtensionContext): Promise<void> {
+  let audience = 'https://management.azure.com/';
+  try {
+    audience = getCloudEndpoints().audience;
+  } catch {
+    // Custom cloud not configured yet; show the public cloud audience
+  }
+
+  const value = await vscode.window.showInputBox({
+    title: 'Set Azure Token',
+    prompt: `Paste a bearer token for ${audience} (az account get-access-token --resource ${audience} --query accessToken -o tsv). Leave empty to remove the stored token.`,
+    password: true,
+    ignoreFocusOut: true
+  });
+  if (value === undefined) return;
+
+  const token = value.trim();
+  if (!token) {
+    await context.secrets.delete(MANUAL_TOKEN_SECRET_KEY);
+    vscode.window.showInformationMessage('Stored Azure token removed.');
+    return;
+  }
+
+  await context.secrets.store(MANUAL_TOKEN_SECRET_KEY, token);
+  const expiresOn = getTokenExpiry(token);
+  vscode.window.showInformationMessage(expiresOn
+    ? `Azure token stored securely. It expires at ${expiresOn.toLocaleString()}.`
+    : 'Azure token stored securely.');
+}
+// END function to prompt for a manual token and keep it in SecretStorage
+
+
+
+// BEGIN function to prompt for the service principal secret or certificate and keep it in SecretStorage
+export async function promptForServicePrincipalCredential(context: vscode.ExtensionContext): Promise<void> {
+  const choice = await vscode.window.showQuickPick(
+    [
+      { label: 'Client secret', value: 'secret' as const },
+      { label: 'Certificate (PEM file with private key)', value: 'certificate' as const },
+      { label: 'Remove stored credential', value: 'remove' as const }
+    ],
+    { title: 'Set Service Principal Credential', ignoreFocusOut: true }
+  );
+  if (!choice) return;
+
+  if (choice.value === 'remove') {
+    await context.secrets.delete(SP_SECRET_KEY);
+    await context.secrets.delete(SP_CERTIFICATE_KEY);
+    vscode.window.showInformationMessage('Stored service principal credential removed.');
+    return;
+  }
+
+  if (choice.value === 'secret') {
+    const secret = await vscode.window.showInputBox({
+      title: 'Set Service Principal Credential',
+      prompt: 'Paste the client secret of the app registration.',
+      password: true,
+      ignoreFocusOut: true
+    });
+    if (!secret?.trim()) return;
+
+    await context.secrets.store(SP_SECRET_KEY, secret.trim());
+    await context.secrets.delete(SP_CERTIFICATE_KEY);
+    vscode.window.showInformationMessage('Service principal client secret stored securely.');
+    return;
+  }
+
+  const picked = await vscode.window.showOpenDialog({
+    title: 'Select the PEM file holding the certificate and its private key',
+    canSelectMany: false,
+    filters: { 'PEM certificate': ['pem'] }
+  });
+  if (!picked?.length) return;
+
+  try {
+    const pem = await fs.readFile(picked[0].fsPath, 'utf8');
+    if (!pem.includes('PRIVATE KEY') || !pem.includes('BEGIN CERTIFICATE')) {
+      throw new Error('The file must contain both the certificate and its private key.');
+    }
+    await context.secrets.store(SP_CERTIFICATE_KEY, pem);
+    await context.secrets.delete(SP_SECRET_KEY);
+    vscode.window.showInformationMessage('Service principal certificate stored securely.');
+  } catch (err: any) {
+    vscode.window.showErrorMessage(`Cannot store the certificate: ${err.message}`);
+  }
+}
+// END function to prompt for the service principal secret or certificate and keep it in SecretStorage
+
+
+
+// BEGIN function to move a token left in settings.json into SecretStorage
+export async function migrateTokenSetting(context: vscode.ExtensionContext): Promise<void> {
+  const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+  const inspected = config.inspect<string>('azureGraphToken');
+  const legacy = (inspected?.globalValue || inspected?.workspaceValue || '').trim();
+  if (!legacy) return;
+
+  try {
+    await context.secrets.store(MANUAL_TOKEN_SECRET_KEY, legacy);
+    if (inspected?.globalValue !== undefined) {
+      await config.update('azureGraphToken', undefined, vscode.ConfigurationTarget.Global);
+    }
+    if (inspected?.workspaceValue !== undefined) {
+      await config.update('azureGraphToken', undefined, vscode.ConfigurationTarget.Workspace);
+    }
+    vscode.window.showInformationMessage('Azure CIDR Analyzer moved your Azure token from settings into secure storage.');
+  } catch (err: any) {
+    vscode.window.showErrorMessage(`Could not migrate the Azure token to secure storage: ${err.message}`);
+  }
+}
+// END function to move a token left in settings.json into SecretStorage
+
+
+
+// =========================================================================
+// INTERNAL helpers
+// =========================================================================
+// Sovereign clouds are served by VS Code's microsoft-sovereign-cloud provider, configured via its own settings
+async function getMicrosoftSession(
+  cloud: CloudEndpoints,
+  tenantId: string | undefined,
+  interactive: boolean
+): Promise<vscode.AuthenticationSession | undefined> {
+  // VS Code's Microsoft provider selects the tenant through a special VSCODE_TENANT scope
+  const scopes = tenantId
+    ? [`${cloud.audience}.default`, `VSCODE_TENANT:${tenantId}`]
+    : [`${cloud.audience}.default`];
+  if (!interactive) {
+    return vscode.authentication.getSession(cloud.authProviderId, scopes, { silent: true });
+  }
+  return vscode.authentication.getSession(cloud.authProviderId, scopes, { createIfNone: true });
+}
@@ -0,0 +1,117 @@
+/*****************************************************************************
+ *   Extension:   Microsoft Azure CIDRs Analyzer                             *
+ *   Author:      elelabdev                                                  *
+ *   Description: Query right from Visual Studio Code all Microsoft Azure    *
+ *                subscriptions and search for specific CIDRs in use.        *
+ *   Github:      https://github.com/elelabdev/microsoft-azure-cidr-analyzer *
+ *                                                                           *
+ *   Icon Author: elelab                                                     *
+ *                                                                           *
+ *   Copyright (C) 2025 elelab                                               *
+ *   https://www.elelab.dev                                                  *
+ *                                                                           *
+ *   Licensed under the MIT License. See LICENSE file in the project         *
+ *   root for details.                                                       *
+ ****************************************************************************/
+
+// src/helpers/azureCli.ts
+
+// =========================================================================
+// IMPORT libraries or modules
+// =========================================================================
+import { execFile } from 'child_process';
+import { EXPIRY_SKEW_MS } from './tokens';
+
+const CLI_TIMEOUT_MS = 30000;
+
+// =========================================================================
+// TYPES
+// =========================================================================
+export interface CliAccessToken {
+  accessToken: string;
+  expiresOn: Date;
+  tenant?: string;
+}
+
+const tokenCache = new Map<string, CliAccessToken>();
+
+
+// =========================================================================
+// EXPORT functions
+// =========================================================================
+
+// BEGIN function to get a token from `az account get-access-token`, cached until it expires
+export async function getAzureCliToken(resource: string, tenantId?: string): Promise<CliAccessToken> {
+  const cacheKey = `${resource}|${tenantId ?? ''}`;
+  const cached = tokenCache.get(cacheKey);
+  if (cached && cached.expiresOn.getTime() - EXPIRY_SKEW_MS > Date.now()) {
+    return cached;
+  }
+
+  const args = ['account', 'get-access-token', '--resource', resource, '--output', 'json'];
+  if (tenantId) {
+    args.push('--tenant', tenantId);
+  }
+  const stdout = await runAzureCli(args);
+
+  let payload: any;
+  try {
+    payload = JSON.parse(stdout);
+  } catch {
+    throw new Error(`Azure CLI returned an unexpected response: ${stdout.trim().slice(0, 200)}`);
+  }
+
+  if (typeof payload?.accessToken !== 'string' || !payload.accessToken) {
+    throw new Error('Azure CLI did not return an access token.');
+  }
+
+  const token: CliAccessToken = {
+    accessToken: payload.accessToken,
+    expiresOn: parseCliExpiry(payload),
+    tenant: typeof payload?.tenant === 'string' ? payload.tenant : undefined
+  };
+  tokenCache.set(cacheKey, token);
+  return token;
+}
+// END function to get a token from `az account get-access-token`, cached until it expires
+
+
+
+// =========================================================================
+// INTERNAL helpers
+// =========================================================================
+function runAzureCli(args: string[]): Promise<string> {
+  return new Promise((resolve, reject) => {
+    // On Windows az is a .cmd shim, which only runs through a shell
+    execFile('az', args, { timeout: CLI_TIMEOUT_MS, shell: process.platform === 'win32', windowsHide: true }, (err, stdout, stderr) => {
+      if (!err) {
+        resolve(stdout);
+        return;
+      }
+
+      const code = (err as NodeJS.ErrnoException).code;
+      if (code === 'ENOENT') {
+        reject(new Error('Azure CLI (az) was not found on PATH. Install it or choose another authentication method.'));
+        return;
+      }
+
+      const detail = (stderr || '').trim() || err.message;
+      reject(new Error(`Azure CLI failed: ${detail}`));
+    });
+  });
+}
+
+function parseCliExpiry(payload: any): Date {
+  // Recent CLI versions add expires_on as epoch seconds; older ones only have local-time expiresOn
+  if (typeof payload?.expires_on === 'number') {
+    return new Date(payload.expires_on * 1000);
+  }
+  if (typeof payload?.expiresOn === 'string') {
+    const parsed = new Date(payload.expiresOn.replace(' ', 'T'));
+    if (!Number.isNaN(parsed.getTime())) {
+      return parsed;
+    }
+  }
+  // Unknown expiry: keep the token only briefly so the CLI is asked again soon
+  return new Date(Date.now() + EXPIRY_SKEW_MS * 2);
+}
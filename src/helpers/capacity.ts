@@ -0,0 +1,123 @@
+/*****************************************************************************
+ *   Extension:   Microsoft Azure CIDRs Analyzer                             *
+ *   Author:      elelabdev                                                  *
+ *   Description: Query right from Visual Studio Code all Microsoft Azure    *
+ *                subscriptions and search for specific CIDRs in use.        *
+ *   Github:      https://github.com/elelabdev/microsoft-azure-cidr-analyzer *
+ *                                                                           *
+ *   Icon Author: elelab                                                     *
+ *                                                                           *
+ *   Copyright (C) 2025 elelab                                               *
+ *   https://www.elelab.dev                                                  *
+ *                                                                           *
+ *   Licensed under the MIT License. See LICENSE file in the project         *
+ *   root for details.                                                       *
+ ****************************************************************************/
+
+// src/helpers/capacity.ts
+
+// =========================================================================
+// IMPORT libraries or modules
+// =========================================================================
+import { IpRange, mergeRanges, parseIpRanges, toAddressCount } from './cidr';
+import { GraphResult } from './resourceGraph';
+
+const VNET_TYPE = 'microsoft.network/virtualnetworks';
+const SUBNET_TYPE = 'microsoft.network/virtualnetworks/subnets';
+
+// Azure keeps the network address, the default gateway, two DNS addresses and the broadcast address of every subnet
+const AZURE_RESERVED_ADDRESSES = 5n;
+
+// Subnet prefixes are cut out of the JSON text, since KQL cannot map over the subnets array
+const SUBNET_PREFIXES_TEXT = 'tostring(properties.subnets)';
+
+// Raw columns read by applyCapacityStats and dropped once the statistics are computed
+export const CAPACITY_EXTEND = `| extend ipConfigurationCount = iff(type =~ '${SUBNET_TYPE}', coalesce(array_length(properties.ipConfigurations), 0), long(null)),
+    capacityPrefixes = case(
+      type =~ '${SUBNET_TYPE}', array_concat(pack_array(properties.addressPrefix), iff(array_length(properties.addressPrefixes) > 0, properties.addressPrefixes, dynamic([]))),
+      type =~ '${VNET_TYPE}', array_concat(
+        extract_all(@'"addressPrefix":"([^"]+)"', ${SUBNET_PREFIXES_TEXT}),
+        parse_json(strcat('[', strcat_array(set_difference(extract_all(@'"addressPrefixes":\\[([^\\]]*)\\]', ${SUBNET_PREFIXES_TEXT}), dynamic([''])), ','), ']'))
+      ),
+      dynamic(null)
+    ),
+    addressSpacePrefixes = iff(type =~ '${VNET_TYPE}', properties.addressSpace.addressPrefixes, dynamic(null))`;
+export const CAPACITY_FIELDS = ['ipConfigurationCount', 'capacityPrefixes', 'addressSpacePrefixes'];
+
+
+// =========================================================================
+// EXPORT functions
+// =========================================================================
+
+// BEGIN function to turn the raw capacity columns into subnet utilisation and VNet allocation statistics
+export function applyCapacityStats(row: GraphResult): GraphResult {
+  const { ipConfigurationCount, capacityPrefixes, addressSpacePrefixes, ...rest } = row;
+  const type = String(row.type ?? '').toLowerCase();
+
+  if (type === SUBNET_TYPE) {
+    const usable = countUsableAddresses(parseIpRanges(capacityPrefixes));
+    const used = Number(ipConfigurationCount) || 0;
+    return {
+      ...rest,
+      // Only IPv6 subnets are too large for a JSON number
+      usableIps: toAddressCount(usable),
+      usedIps: used,
+      utilisationPercent: toPercent(BigInt(used), usable)
+    };
+  }
+
+  if (type === VNET_TYPE) {
+    // Any IPv6 block dwarfs the IPv4 space, so dual-stack VNets are measured on IPv4 alone
+    const space = mergeRanges(preferIpv4(parseIpRanges(addressSpacePrefixes)));
+    const subnets = mergeRanges(parseIpRanges(capacityPrefixes));
+    return {
+      ...rest,
+      subnetAllocationPercent: toPercent(countOverlap(space, subnets), countAddresses(space))
+    };
+  }
+
+  return rest;
+}
+// END function to turn the raw capacity columns into subnet utilisation and VNet allocation statistics
+
+
+
+// =========================================================================
+// INTERNAL helpers
+// =========================================================================
+// NICs and endpoints take IPv4 addresses first, so IPv6 space only counts for IPv6-only subnets
+function countUsableAddresses(ranges: IpRange[]): bigint {
+  return preferIpv4(ranges).reduce((sum, range) => {
+    const size = range.end - range.start + 1n;
+    return sum + (size > AZURE_RESERVED_ADDRESSES ? size - AZURE_RESERVED_ADDRESSES : 0n);
+  }, 0n);
+}
+
+function preferIpv4(ranges: IpRange[]): IpRange[] {
+  const ipv4 = ranges.filter(range => range.family === 4);
+  return ipv4.length ? ipv4 : ranges;
+}
+
+function countAddresses(ranges: IpRange[]): bigint {
+  return ranges.reduce((sum, range) => sum + range.end - range.start + 1n, 0n);
+}
+
+// Both lists are merged, so every shared address is counted once
+function countOverlap(space: IpRange[], allocated: IpRange[]): bigint {
+  let total = 0n;
+  for (const block of space) {
+    for (const range of allocated) {
+      if (range.family !== block.family) continue;
+      const start = range.start > block.start ? range.start : block.start;
+      const end = range.end < block.end ? range.end : block.end;
+      if (start <= end) total += end - start + 1n;
+    }
+  }
+  return total;
+}
+
+// One decimal place; blank when there is nothing to divide by
+function toPercent(part: bigint, whole: bigint): number | null {
+  if (whole <= 0n) return null;
+  return Number((part * 1000n) / whole) / 10;
+}
@@ -0,0 +1,472 @@
+/*****************************************************************************
+ *   Extension:   Microsoft Azure CIDRs Analyzer                             *
+ *   Author:      elelabdev                                                  *
+ *   Description: Query right from Visual Studio Code all Microsoft Azure    *
+ *                subscriptions and search for specific CIDRs in use.        *
+ *   Github:      https://github.com/elelabdev/microsoft-azure-cidr-analyzer *
+ *                                                                           *
+ *   Icon Author: elelab                                                     *
+ *                                                                           *
+ *   Copyright (C) 2025 elelab                                               *
+ *   https://www.elelab.dev                                                  *
+ *                                                                           *
+ *   Licensed under the MIT License. See LICENSE file in the project         *
+ *   root for details.                                                       *
+ ****************************************************************************/
+
+// src/helpers/cidr.ts
+
+// =========================================================================
+// TYPES
+// =========================================================================
+export type MatchMode = 'exact' | 'contains' | 'containedBy' | 'overlaps';
+
+export const MATCH_MODES: readonly MatchMode[] = ['exact', 'contains', 'containedBy', 'overlaps'];
+
+export type AddressFamily = 4 | 6;
+
+export interface IpRange {
+  family: AddressFamily;
+  start: bigint;
+  end: bigint;
+  prefixLength?: number;
+}
+
+export interface SearchEntry {
+  input: string;
+  prefixes: string[];
+  wildcard?: boolean;
+  error?: string;
+  notice?: string;
+}
+
+export interface FreeSpace {
+  // Every unallocated block, as the fewest prefixes covering the gaps
+  free: IpRange[];
+  // First aligned blocks of the requested size inside the free space
+  candidates: IpRange[];
+}
+
+const FAMILY_BITS: Record<AddressFamily, number> = { 4: 32, 6: 128 };
+
+
+// =========================================================================
+// EXPORT functions
+// =========================================================================
+
+// BEGIN function to parse a dotted IPv4 address into its numeric value
+export function parseIpv4(value: string): bigint | undefined {
+  const parts = value.trim().split('.');
+  if (parts.length !== 4) return;
+
+  let result = 0n;
+  for (const part of parts) {
+    if (!/^\d{1,3}$/.test(part)) return;
+    const octet = Number(part);
+    if (octet > 255) return;
+    result = (result << 8n) | BigInt(octet);
+  }
+  return result;
+}
+// END function to parse a dotted IPv4 address into its numeric value
+
+
+
+// BEGIN function to parse an IPv6 address (with :: compression or trailing IPv4) into its numeric value
+export function parseIpv6(value: string): bigint | undefined {
+  const text = value.trim().toLowerCase();
+  if (!text || /[^0-9a-f:.]/.test(text)) return;
+
+  const halves = text.split('::');
+  if (halves.length > 2) return;
+
+  const parseGroups = (part: string, allowIpv4Tail: boolean): number[] | undefined => {
+    if (!part) return [];
+    const groups = part.split(':');
+    const out: number[] = [];
+    for (let i = 0; i < groups.length; i += 1) {
+      const group = groups[i];
+      if (group.includes('.')) {
+        if (!allowIpv4Tail || i !== groups.length - 1) return;
+        const v4 = parseIpv4(group);
+        if (v4 === undefined) return;
+        out.push(Number(v4 >> 16n), Number(v4 & 0xffffn));
+        continue;
+      }
+      if (!/^[0-9a-f]{1,4}$/.test(group)) return;
+      out.push(parseInt(group, 16));
+    }
+    return out;
+  };
+
+  const head = parseGroups(halves[0], halves.length === 1);
+  const tail = halves.length === 2 ? parseGroups(halves[1], true) : [];
+  if (!head || !tail) return;
+
+  let groups: number[];
+  if (halves.length === 1) {
+    if (head.length !== 8) return;
+    groups = head;
+  } else {
+    const missing = 8 - head.length - tail.length;
+    if (missing < 1) return;
+    groups = [...head, ...new Array<number>(missing).fill(0), ...tail];
+  }
+
+  return groups.reduce((acc, group) => (acc << 16n) | BigInt(group), 0n);
+}
+// END function to parse an IPv6 address (with :: compression or trailing IPv4) into its numeric value
+
+
+
+// BEGIN function to format a numeric address back to its canonical text form
+export function formatAddress(value: bigint, family: AddressFamily): string {
+  if (family === 4) {
+    return [24n, 16n, 8n, 0n].map(shift => String((value >> shift) & 0xffn)).join('.');
+  }
+
+  const groups: number[] = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(Number((value >> shift) & 0xffffn));
+  }
+
+  // RFC 5952 section 5: IPv4-mapped addresses keep the IPv4 part in dotted notation
+  if (groups.slice(0, 5).every(group => group === 0) && groups[5] === 0xffff) {
+    return `::ffff:${formatAddress(value & 0xffffffffn, 4)}`;
+  }
+
+  // RFC 5952: compress the longest run (2+ groups) of zeros, leftmost on ties
+  let bestStart = -1;
+  let bestLength = 0;
+  for (let i = 0; i < groups.length; ) {
+    if (groups[i] !== 0) {
+      i += 1;
+      continue;
+    }
+    let j = i;
+    while (j < groups.length && groups[j] === 0) j += 1;
+    if (j - i > bestLength) {
+      bestStart = i;
+      bestLength = j - i;
+    }
+    i = j;
+  }
+
+  const hex = groups.map(group => group.toString(16));
+  if (bestLength < 2) {
+    return hex.join(':');
+  }
+  const head = hex.slice(0, bestStart).join(':');
+  const tail = hex.slice(bestStart + bestLength).join(':');
+  return `${head}::${tail}`;
+}
+// END function to format a numeric address back to its canonical text form
+
+
+
+// BEGIN function to parse a prefix, bare address or address range into a numeric range
+export function parseIpRange(value: string): IpRange | undefined {
+  const text = value.trim();
+  if (!text) return;
+
+  const family: AddressFamily = text.includes(':') ? 6 : 4;
+  const parseAddress = family === 4 ? parseIpv4 : parseIpv6;
+
+  // Ranges such as 10.0.0.1-10.0.0.50 are allowed in IP Groups
+  const dash = text.indexOf('-');
+  if (dash > 0) {
+    const start = parseAddress(text.slice(0, dash));
+    const end = parseAddress(text.slice(dash + 1));
+    if (start === undefined || end === undefined || start > end) return;
+    return { family, start, end };
+  }
+
+  const [address, lengthText, ...rest] = text.split('/');
+  if (rest.length) return;
+
+  const base = parseAddress(address);
+  if (base === undefined) return;
+  if (lengthText === undefined) {
+    return { family, start: base, end: base };
+  }
+
+  const totalBits = FAMILY_BITS[family];
+  if (!/^\d{1,3}$/.test(lengthText)) return;
+  const length = Number(lengthText);
+  if (length > totalBits) return;
+
+  const hostBits = BigInt(totalBits - length);
+  const start = (base >> hostBits) << hostBits;
+  const end = start + (1n << hostBits) - 1n;
+  return { family, start, end, prefixLength: length };
+}
+// END function to parse a prefix, bare address or address range into a numeric range
+
+
+
+// BEGIN function to parse a Resource Graph prefix array, dropping anything unparseable
+export function parseIpRanges(value: unknown): IpRange[] {
+  const values = Array.isArray(value) ? value : [];
+  return values
+    .map(prefix => parseIpRange(String(prefix ?? '')))
+    .filter((range): range is IpRange => !!range);
+}
+// END function to parse a Resource Graph prefix array, dropping anything unparseable
+
+
+
+// BEGIN function to format a parsed range in canonical notation
+export function formatIpRange(range: IpRange): string {
+  const start = formatAddress(range.start, range.family);
+  if (range.prefixLength !== undefined) {
+    return `${start}/${range.prefixLength}`;
+  }
+  if (range.start === range.end) {
+    return start;
+  }
+  return `${start}-${formatAddress(range.end, range.family)}`;
+}
+// END function to format a parsed range in canonical notation
+
+
+
+// BEGIN function to compare a candidate range against a searched range
+export function rangeMatches(search: IpRange, candidate: IpRange, mode: MatchMode): boolean {
+  if (search.family !== candidate.family) {
+    return false;
+  }
+
+  switch (mode) {
+    case 'exact':
+      return candidate.start === search.start && candidate.end === search.end;
+    case 'contains':
+      // The searched prefix contains the candidate (e.g. subnets inside a /16)
+      return candidate.start >= search.start && candidate.end <= search.end;
+    case 'containedBy':
+      // The searched prefix sits inside the candidate (e.g. the VNet holding a /24)
+      return candidate.start <= search.start && candidate.end >= search.end;
+    case 'overlaps':
+      return candidate.start <= search.end && candidate.end >= search.start;
+    default:
+      return false;
+  }
+}
+// END function to compare a candidate range against a searched range
+
+
+
+// BEGIN function to validate a match mode coming from the webview
+export function isMatchMode(value: unknown): value is MatchMode {
+  return typeof value === 'string' && (MATCH_MODES as readonly string[]).includes(value);
+}
+// END function to validate a match mode coming from the webview
+
+
+
+// BEGIN function to split an address range into the smallest set of covering prefixes
+export function rangeToPrefixes(range: IpRange): IpRange[] {
+  const totalBits = FAMILY_BITS[range.family];
+  const prefixes: IpRange[] = [];
+
+  let start = range.start;
+  while (start <= range.end) {
+    // Grow the block while it stays aligned on its own size and inside the range
+    let hostBits = 0;
+    while (hostBits < totalBits) {
+      const next = BigInt(hostBits + 1);
+      const aligned = ((start >> next) << next) === start;
+      if (!aligned || start + (1n << next) - 1n > range.end) break;
+      hostBits += 1;
+    }
+
+    const end = start + (1n << BigInt(hostBits)) - 1n;
+    prefixes.push({ family: range.family, start, end, prefixLength: totalBits - hostBits });
+    start = end + 1n;
+  }
+  return prefixes;
+}
+// END function to split an address range into the smallest set of covering prefixes
+
+
+
+// BEGIN function to merge overlapping and adjacent ranges into disjoint sorted blocks
+export function mergeRanges(ranges: IpRange[]): IpRange[] {
+  const sorted = [...ranges].sort((a, b) => a.family - b.family || (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+  const merged: IpRange[] = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && last.family === range.family && range.start <= last.end + 1n) {
+      if (range.end > last.end) last.end = range.end;
+    } else {
+      merged.push({ family: range.family, start: range.start, end: range.end });
+    }
+  }
+  return merged;
+}
+// END function to merge overlapping and adjacent ranges into disjoint sorted blocks
+
+
+
+// BEGIN function to check that a block size fits inside a parent range
+export function checkBlockSize(parent: IpRange, prefixLength: number): string | undefined {
+  const totalBits = FAMILY_BITS[parent.family];
+  const minLength = parent.prefixLength ?? 0;
+  if (!Number.isInteger(prefixLength) || prefixLength < minLength || prefixLength > totalBits) {
+    return `Block size must be between /${minLength} and /${totalBits} for ${formatIpRange(parent)}.`;
+  }
+  return;
+}
+// END function to check that a block size fits inside a parent range
+
+
+
+// BEGIN function to subtract allocated ranges from a parent and pick blocks of the requested size
+export function findFreeSpace(parent: IpRange, allocated: IpRange[], prefixLength: number, limit: number): FreeSpace {
+  const totalBits = FAMILY_BITS[parent.family];
+  const invalid = checkBlockSize(parent, prefixLength);
+  if (invalid) {
+    throw new Error(invalid);
+  }
+
+  // Clip to the parent and merge, so the gaps between allocations can be read off in one pass
+  const used = allocated
+    .filter(range => range.family === parent.family && range.start <= parent.end && range.end >= parent.start)
+    .map(range => ({
+      start: range.start < parent.start ? parent.start : range.start,
+      end: range.end > parent.end ? parent.end : range.end
+    }))
+    .sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+
+  const free: IpRange[] = [];
+  let cursor = parent.start;
+  for (const range of used) {
+    if (range.start > cursor) {
+      free.push(...rangeToPrefixes({ family: parent.family, start: cursor, end: range.start - 1n }));
+    }
+    if (range.end >= cursor) {
+      cursor = range.end + 1n;
+    }
+  }
+  if (cursor <= parent.end) {
+    free.push(...rangeToPrefixes({ family: parent.family, start: cursor, end: parent.end }));
+  }
+
+  // Free prefixes are aligned, so any aligned block of the requested size lies inside a single one
+  const size = 1n << BigInt(totalBits - prefixLength);
+  const candidates: IpRange[] = [];
+  for (const block of free) {
+    if ((block.prefixLength ?? totalBits) > prefixLength) continue;
+    for (let start = block.start; start <= block.end && candidates.length < limit; start += size) {
+      candidates.push({ family: parent.family, start, end: start + size - 1n, prefixLength });
+    }
+    if (candidates.length >= limit) break;
+  }
+  return { free, candidates };
+}
+// END function to subtract allocated ranges from a parent and pick blocks of the requested size
+
+
+
+// BEGIN function to turn an address count into a JSON number, or text when it is too large to be exact
+export function toAddressCount(value: bigint): number | string {
+  return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString();
+}
+// END function to turn an address count into a JSON number, or text when it is too large to be exact
+
+
+
+// BEGIN function to validate and canonicalise a single entry typed in the search field
+export function normalizeSearchEntry(value: string): SearchEntry {
+  const input = value.trim();
+
+  // Wildcards are matched as text by Resource Graph and cannot be canonicalised
+  if (input.includes('*')) {
+    return { input, prefixes: [input], wildcard: true };
+  }
+
+  const family: AddressFamily = input.includes(':') ? 6 : 4;
+  const totalBits = FAMILY_BITS[family];
+
+  const dash = input.indexOf('-');
+  if (dash >= 0) {
+    const startText = input.slice(0, dash).trim();
+    const endText = input.slice(dash + 1).trim();
+    const startError = explainAddressError(startText, family);
+    const endError = explainAddressError(endText, family);
+    if (startError || endError) {
+      return { input, prefixes: [], error: startError || endError };
+    }
+
+    const range = parseIpRange(`${startText}-${endText}`);
+    if (!range) {
+      return { input, prefixes: [], error: 'Range start must not be greater than range end.' };
+    }
+
+    const prefixes = rangeToPrefixes(range).map(formatIpRange);
+    return {
+      input,
+      prefixes,
+      notice: `Range converted to ${prefixes.length} prefix${prefixes.length === 1 ? '' : 'es'}: ${prefixes.join(', ')}`
+    };
+  }
+
+  const parts = input.split('/');
+  if (parts.length > 2) {
+    return { input, prefixes: [], error: 'Only one "/" separator is allowed.' };
+  }
+
+  const [address, lengthText] = parts;
+  const addressError = explainAddressError(address, family);
+  if (addressError) {
+    return { input, prefixes: [], error: addressError };
+  }
+
+  if (lengthText === undefined) {
+    const prefix = `${formatAddress(parseAddressFor(address, family)!, family)}/${totalBits}`;
+    return { input, prefixes: [prefix], notice: `Single address searched as ${prefix}.` };
+  }
+
+  const length = /^\d{1,3}$/.test(lengthText) ? Number(lengthText) : NaN;
+  if (!(length >= 0 && length <= totalBits)) {
+    return { input, prefixes: [], error: `Prefix length must be between 0 and ${totalBits}.` };
+  }
+
+  const range = parseIpRange(input)!;
+  const canonical = formatIpRange(range);
+  if (range.start !== parseAddressFor(address, family)) {
+    return { input, prefixes: [canonical], notice: `Host bits set, searching ${canonical} instead.` };
+  }
+  if (canonical !== input.toLowerCase()) {
+    return { input, prefixes: [canonical], notice: `Normalised to ${canonical}.` };
+  }
+  return { input, prefixes: [canonical] };
+}
+// END function to validate and canonicalise a single entry typed in the search field
+
+
+
+// =========================================================================
+// INTERNAL helpers
+// =========================================================================
+function parseAddressFor(value: string, family: AddressFamily): bigint | undefined {
+  return family === 4 ? parseIpv4(value) : parseIpv6(value);
+}
+
+function explainAddressError(value: string, family: AddressFamily): string | undefined {
+  if (!value) {
+    return 'Missing IP address.';
+  }
+  if (parseAddressFor(value, family) !== undefined) {
+    return;
+  }
+  if (family === 6) {
+    return `"${value}" is not a valid IPv6 address.`;
+  }
+
+  const octets = value.split('.');
+  if (octets.length !== 4) {
+    return `"${value}" must have 4 octets.`;
+  }
+  const bad = octets.find(octet => !/^\d{1,3}$/.test(octet) || Number(octet) > 255);
+  return `Octet "${bad}" in "${value}" must be a number between 0 and 255.`;
+}
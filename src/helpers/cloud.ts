@@ -0,0 +1,97 @@
+/*****************************************************************************
+ *   Extension:   Microsoft Azure CIDRs Analyzer                             *
+ *   Author:      elelabdev                                                  *
+ *   Description: Query right from Visual Studio Code all Microsoft Azure    *
+ *                subscriptions and search for specific CIDRs in use.        *
+ *   Github:      https://github.com/elelabdev/microsoft-azure-cidr-analyzer *
+ *                                                                           *
+ *   Icon Author: elelab                                                     *
+ *                                                                           *
+ *   Copyright (C) 2025 elelab                                               *
+ *   https://www.elelab.dev                                                  *
+ *                                                                           *
+ *   Licensed under the MIT License. See LICENSE file in the project         *
+ *   root for details.                                                       *
+ ****************************************************************************/
+
+// src/helpers/cloud.ts
+
+// =========================================================================
+// IMPORT libraries or modules
+// =========================================================================
+import * as vscode from 'vscode';
+
+const CONFIG_NAMESPACE = 'azureCidrAnalyzer';
+
+// =========================================================================
+// TYPES
+// =========================================================================
+export type AzureCloudName = 'AzureCloud' | 'AzureUSGovernment' | 'AzureChinaCloud' | 'custom';
+
+export interface CloudEndpoints {
+  name: AzureCloudName;
+  // Azure Resource Manager base URL, without trailing slash
+  resourceManager: string;
+  // Entra ID authority host, without trailing slash
+  authority: string;
+  // Resource the access token must be issued for, with trailing slash
+  audience: string;
+  // VS Code authentication provider serving this cloud
+  authProviderId: 'microsoft' | 'microsoft-sovereign-cloud';
+}
+
+const KNOWN_CLOUDS: Record<Exclude<AzureCloudName, 'custom'>, CloudEndpoints> = {
+  AzureCloud: {
+    name: 'AzureCloud',
+    resourceManager: 'https://management.azure.com',
+    authority: 'https://login.microsoftonline.com',
+    audience: 'https://management.azure.com/',
+    authProviderId: 'microsoft'
+  },
+  AzureUSGovernment: {
+    name: 'AzureUSGovernment',
+    resourceManager: 'https://management.usgovcloudapi.net',
+    authority: 'https://login.microsoftonline.us',
+    audience: 'https://management.usgovcloudapi.net/',
+    authProviderId: 'microsoft-sovereign-cloud'
+  },
+  AzureChinaCloud: {
+    name: 'AzureChinaCloud',
+    resourceManager: 'https://management.chinacloudapi.cn',
+    authority: 'https://login.chinacloudapi.cn',
+    audience: 'https://management.chinacloudapi.cn/',
+    authProviderId: 'microsoft-sovereign-cloud'
+  }
+};
+
+
+// =========================================================================
+// EXPORT functions
+// =========================================================================
+
+// BEGIN function to resolve the endpoints of the cloud selected in the settings
+export function getCloudEndpoints(): CloudEndpoints {
+  const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+  const name = config.get<AzureCloudName>('cloud', 'AzureCloud');
+
+  if (name !== 'custom') {
+    return KNOWN_CLOUDS[name] ?? KNOWN_CLOUDS.AzureCloud;
+  }
+
+  const trimSlash = (value: string): string => value.trim().replace(/\/+$/, '');
+  const resourceManager = trimSlash(config.get<string>('customCloud.resourceManagerEndpoint') || '');
+  if (!resourceManager) {
+    throw new Error('Set "azureCidrAnalyzer.customCloud.resourceManagerEndpoint" to use the custom cloud.');
+  }
+
+  const authority = trimSlash(config.get<string>('customCloud.authority') || '') || KNOWN_CLOUDS.AzureCloud.authority;
+  const audience = trimSlash(config.get<string>('customCloud.audience') || '') || resourceManager;
+  return {
+    name,
+    resourceManager,
+    authority,
+    audience: `${audience}/`,
+    authProviderId: 'microsoft-sovereign-cloud'
+  };
+}
+// END function to resolve the endpoints of the cloud selected in the settings
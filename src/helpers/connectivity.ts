@@ -0,0 +1,185 @@
+/*****************************************************************************
+ *   Extension:   Microsoft Azure CIDRs Analyzer                             *
+ *   Author:      elelabdev                                                  *
+ *   Description: Query right from Visual Studio Code all Microsoft Azure    *
+ *                subscriptions and search for specific CIDRs in use.        *
+ *   Github:      https://github.com/elelabdev/microsoft-azure-cidr-analyzer *
+ *                                                                           *
+ *   Icon Author: elelab                                                     *
+ *                                                                           *
+ *   Copyright (C) 2025 elelab                                               *
+ *   https://www.elelab.dev                                                  *
+ *                                                                           *
+ *   Licensed under the MIT License. See LICENSE file in the project         *
+ *   root for details.                                                       *
+ ****************************************************************************/
+
+// src/helpers/connectivity.ts
+
+// =========================================================================
+// IMPORT libraries or modules
+// =========================================================================
+import { IpRange, parseIpRanges } from './cidr';
+import { GraphResult } from './resourceGraph';
+
+const VNET_TYPE = 'microsoft.network/virtualnetworks';
+const HUB_TYPE = 'microsoft.network/virtualhubs';
+const HUB_CONNECTION_TYPE = 'microsoft.network/virtualhubs/hubvirtualnetworkconnections';
+
+// One row per VNet, hub or hub connection; the peering and connection arrays are walked client-side.
+// Hubs list their connections inline on older API versions and as child resources on newer ones.
+export const CONNECTIVITY_QUERY = `Resources
+| where type in~ ('${VNET_TYPE}', '${HUB_TYPE}', '${HUB_CONNECTION_TYPE}')
+| project id, name, type,
+    addressPrefixes = case(
+      type =~ '${VNET_TYPE}', properties.addressSpace.addressPrefixes,
+      type =~ '${HUB_TYPE}', pack_array(properties.addressPrefix),
+      dynamic([])
+    ),
+    links = case(
+      type =~ '${VNET_TYPE}', properties.virtualNetworkPeerings,
+      type =~ '${HUB_TYPE}', properties.virtualNetworkConnections,
+      pack_array(pack('properties', properties))
+    )`;
+
+// =========================================================================
+// TYPES
+// =========================================================================
+interface NetworkNode {
+  name: string;
+  ranges: IpRange[];
+  // Lower-cased IDs of the VNets and hubs this network can route to directly
+  neighbours: Set<string>;
+}
+
+export type ConnectivityGraph = Map<string, NetworkNode>;
+
+
+// =========================================================================
+// EXPORT functions
+// =========================================================================
+
+// BEGIN function to build the peering and hub connectivity graph from CONNECTIVITY_QUERY rows
+export function buildConnectivityGraph(rows: GraphResult[]): ConnectivityGraph {
+  const graph: ConnectivityGraph = new Map();
+  const hubMembers = new Map<string, Set<string>>();
+
+  const addHubMember = (hubId: string, vnetId: string) => {
+    const members = hubMembers.get(hubId) ?? new Set<string>();
+    members.add(vnetId);
+    hubMembers.set(hubId, members);
+  };
+
+  for (const row of rows) {
+    const id = String(row.id ?? '').toLowerCase();
+    const type = String(row.type ?? '').toLowerCase();
+    if (!id) continue;
+
+    if (type === HUB_CONNECTION_TYPE) {
+      const hubId = id.slice(0, id.indexOf('/hubvirtualnetworkconnections/'));
+      const remoteId = readRemoteId(row.links, 0).toLowerCase();
+      if (hubId && remoteId) addHubMember(hubId, remoteId);
+      continue;
+    }
+
+    const node = getNode(graph, id, String(row.name ?? ''));
+    node.ranges.push(...parseIpRanges(row.addressPrefixes));
+
+    const links = Array.isArray(row.links) ? row.links : [];
+    links.forEach((link, index) => {
+      const rawRemoteId = readRemoteId(links, index);
+      const remoteId = rawRemoteId.toLowerCase();
+      if (!remoteId) return;
+
+      if (type === HUB_TYPE) {
+        addHubMember(id, remoteId);
+        return;
+      }
+
+      // The peering carries the remote address space, so VNets outside the searched scope still count
+      const remote = getNode(graph, remoteId, rawRemoteId.split('/').pop());
+      const properties = (link as any)?.properties;
+      if (!remote.ranges.length) {
+        remote.ranges.push(...parseIpRanges(
+          properties?.remoteVirtualNetworkAddressSpace?.addressPrefixes ?? properties?.remoteAddressSpace?.addressPrefixes
+        ));
+      }
+      connect(graph, id, remoteId);
+    });
+  }
+
+  // Every VNet on a hub can reach the hub and all other VNets on it
+  for (const [hubId, members] of hubMembers) {
+    getNode(graph, hubId);
+    const list = Array.from(members);
+    list.forEach((vnetId, index) => {
+      connect(graph, hubId, vnetId);
+      for (const other of list.slice(index + 1)) {
+        connect(graph, vnetId, other);
+      }
+    });
+  }
+  return graph;
+}
+// END function to build the peering and hub connectivity graph from CONNECTIVITY_QUERY rows
+
+
+
+// BEGIN function to list connected networks whose address space overlaps a prefix of the given resource
+export function findConnectedConflicts(graph: ConnectivityGraph, resourceId: string, range: IpRange): string[] {
+  const node = graph.get(getNetworkId(resourceId));
+  if (!node) return [];
+
+  const conflicts: string[] = [];
+  for (const neighbourId of node.neighbours) {
+    const neighbour = graph.get(neighbourId);
+    const overlaps = neighbour?.ranges.some(other =>
+      other.family === range.family && other.start <= range.end && range.start <= other.end);
+    if (neighbour && overlaps) conflicts.push(neighbour.name);
+  }
+  return conflicts.sort((a, b) => a.localeCompare(b));
+}
+// END function to list connected networks whose address space overlaps a prefix of the given resource
+
+
+
+// BEGIN function to check whether a resource type takes part in VNet connectivity
+export function isConnectableType(type: unknown): boolean {
+  const lower = String(type ?? '').toLowerCase();
+  return lower === VNET_TYPE || lower === HUB_TYPE || lower === `${VNET_TYPE}/subnets`;
+}
+// END function to check whether a resource type takes part in VNet connectivity
+
+
+
+// =========================================================================
+// INTERNAL helpers
+// =========================================================================
+// Subnets are routed as part of their VNet
+function getNetworkId(resourceId: string): string {
+  const lower = resourceId.toLowerCase();
+  const subnetIndex = lower.indexOf('/subnets/');
+  return subnetIndex >= 0 ? lower.slice(0, subnetIndex) : lower;
+}
+
+function getNode(graph: ConnectivityGraph, id: string, name?: string): NetworkNode {
+  let node = graph.get(id);
+  if (!node) {
+    node = { name: name || id.split('/').pop() || id, ranges: [], neighbours: new Set() };
+    graph.set(id, node);
+  } else if (name) {
+    node.name = name;
+  }
+  return node;
+}
+
+function connect(graph: ConnectivityGraph, first: string, second: string): void {
+  if (first === second) return;
+  getNode(graph, first).neighbours.add(second);
+  getNode(graph, second).neighbours.add(first);
+}
+
+function readRemoteId(links: unknown, index: number): string {
+  const link = Array.isArray(links) ? links[index] : undefined;
+  return String((link as any)?.properties?.remoteVirtualNetwork?.id ?? '');
+}
@@ -21,82 +21,300 @@
 // =========================================================================
 import * as vscode from 'vscode';
 import * as fs from 'fs/promises';
-import { join } from 'path';
+import { createWriteStream, WriteStream } from 'fs';
+import { once } from 'events';
+import { homedir } from 'os';
+import { dirname, isAbsolute, join, relative, sep } from 'path';
+import { XlsxSheet, buildXlsx } from './xlsx';
+import { REPORT_EXTENSIONS, ReportData, ReportFormat, renderReport } from './report';
+
+const CONFIG_NAMESPACE = 'azureCidrAnalyzer';
+const LAST_EXPORT_DIR_KEY = 'azureCidrAnalyzer.lastExportDirectory';
+const EXPORT_ROOT_FOLDER = 'elelabdev';
+
+// =========================================================================
+// TYPES
+// =========================================================================
+// Rows are rendered one at a time while writing, so the whole file never sits in memory
+interface StreamedContent {
+  head: string;
+  count: number;
+  row(index: number): string;
+  tail: string;
+}
 
 
 // =========================================================================
 // EXPORT functions
 // =========================================================================
 
-// BEGIN function to ensure /elelabdev exist or not in user worskpace
-async function ensureModuleFolder(moduleName: string): Promise<string | undefined> {
-  const wk = vscode.workspace.workspaceFolders?.[0];
-  if (!wk) {
-    vscode.window.showErrorMessage('ATTENTION: Open a folder or Workspace first.');
+// BEGIN function to export CSV
+export async function exportCsv(
+  context: vscode.ExtensionContext,
+  moduleName: string,
+  baseFileName: string,
+  columns: string[],
+  rows: readonly Record<string, unknown>[]
+): Promise<void> {
+  const fullPath = await chooseExportPath(context, moduleName, baseFileName, 'csv', { CSV: ['csv'] });
+  if (!fullPath) return;
+
+  await saveStreamed(fullPath, 'CSV', {
+    head: columns.map(csvCell).join(',') + '\n',
+    count: rows.length,
+    row: index => columns.map(col => csvCell(rows[index][col])).join(',') + '\n',
+    tail: ''
+  });
+}
+// END function to export CSV
+
+
+
+// BEGIN function to export JSON
+export async function exportJson(
+  context: vscode.ExtensionContext,
+  moduleName: string,
+  baseFileName: string,
+  metadata: Record<string, unknown>,
+  rows: readonly unknown[]
+): Promise<void> {
+  const fullPath = await chooseExportPath(context, moduleName, baseFileName, 'json', { JSON: ['json'] });
+  if (!fullPath) return;
+
+  // The metadata is small and pretty-printed; rows follow one per line under "results"
+  const head = JSON.stringify(metadata, null, 2).replace(/\n?}$/, '');
+  await saveStreamed(fullPath, 'JSON', {
+    head: `${head}${head === '{' ? '' : ','}\n  "results": [\n`,
+    count: rows.length,
+    row: index => `    ${JSON.stringify(rows[index])}${index < rows.length - 1 ? ',' : ''}\n`,
+    tail: '  ]\n}\n'
+  });
+}
+// END function to export JSON
+
+
+
+// BEGIN function to export XLSX
+export async function exportXlsx(
+  context: vscode.ExtensionContext,
+  moduleName: string,
+  baseFileName: string,
+  sheets: XlsxSheet[]
+): Promise<void> {
+  const fullPath = await chooseExportPath(context, moduleName, baseFileName, 'xlsx', { 'Excel workbook': ['xlsx'] });
+  if (!fullPath) return;
+
+  try {
+    await fs.writeFile(fullPath, buildXlsx(sheets));
+    await addToGitignore(fullPath);
+    vscode.window.showInformationMessage(`XLSX saved to ${fullPath}`);
+  } catch (err: any) {
+    vscode.window.showErrorMessage(`XLSX save failed: ${err.message}`);
+  }
+}
+// END function to export XLSX
+
+
+
+// BEGIN function to export a Markdown or HTML report, or copy it to the clipboard
+export async function exportReport(
+  context: vscode.ExtensionContext,
+  moduleName: string,
+  baseFileName: string,
+  report: ReportData,
+  format: ReportFormat,
+  target: 'file' | 'clipboard'
+): Promise<void> {
+  const content = renderReport(report, format);
+  const label = format === 'html' ? 'HTML' : 'Markdown';
+
+  if (target === 'clipboard') {
+    await vscode.env.clipboard.writeText(content);
+    vscode.window.showInformationMessage(`${label} report copied to the clipboard.`);
     return;
   }
 
-  const moduleFolder = join(wk.uri.fsPath, 'elelabdev', moduleName);
+  const extension = REPORT_EXTENSIONS[format];
+  const fullPath = await chooseExportPath(context, moduleName, baseFileName, extension, { [label]: [extension] });
+  if (!fullPath) return;
+
+  try {
+    await fs.writeFile(fullPath, content, 'utf8');
+    await addToGitignore(fullPath);
+    vscode.window.showInformationMessage(`${label} report saved to ${fullPath}`);
+  } catch (err: any) {
+    vscode.window.showErrorMessage(`${label} report save failed: ${err.message}`);
+  }
+}
+// END function to export a Markdown or HTML report, or copy it to the clipboard
+
+
+
+// =========================================================================
+// INTERNAL helpers
+// =========================================================================
+// Where the Save dialog starts; the folder may not exist yet and is only created once an export is saved there
+function resolveDefaultExportFolder(moduleName: string): string {
+  const wk = vscode.workspace.workspaceFolders?.[0];
+  const configured = resolveHome(
+    (vscode.workspace.getConfiguration(CONFIG_NAMESPACE).get<string>('exportDirectory') || '').trim()
+  );
+
+  if (configured) {
+    // Relative paths are read from the workspace folder, or the home folder when none is open
+    return isAbsolute(configured) ? configured : join(wk?.uri.fsPath ?? homedir(), configured);
+  }
+  return wk ? join(wk.uri.fsPath, EXPORT_ROOT_FOLDER, moduleName) : homedir();
+}
+
+// Opens the Save dialog in the last folder used, falling back to the configured export folder
+async function chooseExportPath(
+  context: vscode.ExtensionContext,
+  moduleName: string,
+  baseFileName: string,
+  extension: string,
+  filters: Record<string, string[]>
+): Promise<string | undefined> {
+  const lastFolder = context.globalState.get<string>(LAST_EXPORT_DIR_KEY);
+  const folder = lastFolder && await exists(lastFolder) ? lastFolder : resolveDefaultExportFolder(moduleName);
+
+  // Suggest a name no earlier export uses, so a quick second export does not land on the first one
+  const stem = `${baseFileName}-${formatFileTimestamp(new Date())}`;
+  let fileName = `${stem}.${extension}`;
+  for (let n = 2; await exists(join(folder, fileName)); n += 1) {
+    fileName = `${stem}-${n}.${extension}`;
+  }
+
+  const picked = await vscode.window.showSaveDialog({
+    title: 'Export results',
+    defaultUri: vscode.Uri.file(join(folder, fileName)),
+    filters
+  });
+  if (!picked) return;
+
+  // The suggested folder may not exist yet when the dialog accepts it as typed
   try {
-    await fs.mkdir(moduleFolder, { recursive: true });
-  } catch (e: any) {
-    vscode.window.showErrorMessage(`Cannot create folder: ${e.message}`);
+    await fs.mkdir(dirname(picked.fsPath), { recursive: true });
+  } catch (err: any) {
+    vscode.window.showErrorMessage(`Cannot create folder: ${err.message}`);
     return;
   }
 
-  // Ensure generated data stays outside version control by hiding the shared folder
-  const gitignorePath = join(wk.uri.fsPath, '.gitignore');
+  await context.globalState.update(LAST_EXPORT_DIR_KEY, dirname(picked.fsPath));
+  return picked.fsPath;
+}
+
+// Closes the stream before removing the half-written file; a failed cleanup must not hide the original outcome
+async function discardPartialFile(stream: WriteStream, fullPath: string): Promise<void> {
   try {
-    await fs.access(gitignorePath);
-    let content = await fs.readFile(gitignorePath, 'utf8');
-    const entry = '/elelabdev';
-    if (!content.includes(entry)) {
-      if (!content.endsWith('\n')) content += '\n';
-      content += entry + '\n';
-      await fs.writeFile(gitignorePath, content, 'utf8');
+    if (!stream.closed) {
+      const closed = once(stream, 'close');
+      stream.destroy();
+      await closed;
     }
+    await fs.rm(fullPath, { force: true });
   } catch {
-    // No .gitignore found or error = ignore
+    // Leave the partial file behind rather than replacing the error the user needs to see
   }
-
-  return moduleFolder;
 }
-// END function to ensure /elelabdev exist or not in user worskpace
 
+// Writes with backpressure under a cancellable progress notification; a cancelled export leaves no partial file
+async function saveStreamed(fullPath: string, label: string, content: StreamedContent): Promise<void> {
+  const outcome = await vscode.window.withProgress(
+    { location: vscode.ProgressLocation.Notification, title: `Exporting ${label}`, cancellable: true },
+    async (progress, token) => {
+      const stream = createWriteStream(fullPath, { encoding: 'utf8' });
+      let failure: Error | undefined;
+      stream.on('error', err => { failure = err; });
 
+      const write = async (chunk: string) => {
+        if (failure) throw failure;
+        if (!stream.write(chunk)) await once(stream, 'drain');
+      };
 
-// BEGIN function to export CSV
-export async function exportCsv(
-  moduleName: string,
-  baseFileName: string,
-  csvContent: string,
-  csvHeader?: string
-): Promise<void> {
-  const folder = await ensureModuleFolder(moduleName);
-  if (!folder) return;
+      try {
+        await write(content.head);
+        let reported = 0;
+        for (let index = 0; index < content.count; index += 1) {
+          if (token.isCancellationRequested) {
+            await discardPartialFile(stream, fullPath);
+            return 'cancelled';
+          }
+          await write(content.row(index));
+
+          const percent = Math.floor(((index + 1) / content.count) * 100);
+          if (percent > reported) {
+            progress.report({ increment: percent - reported, message: `${index + 1} of ${content.count} rows` });
+            reported = percent;
+          }
+        }
+        await write(content.tail);
+        await new Promise<void>((resolve, reject) => {
+          stream.once('error', reject);
+          stream.end(() => resolve());
+        });
+        return 'saved';
+      } catch (err: any) {
+        await discardPartialFile(stream, fullPath);
+        vscode.window.showErrorMessage(`${label} save failed: ${err.message}`);
+        return 'failed';
+      }
+    }
+  );
+
+  if (outcome === 'cancelled') {
+    vscode.window.showInformationMessage(`${label} export cancelled.`);
+  } else if (outcome === 'saved') {
+    await addToGitignore(fullPath);
+    vscode.window.showInformationMessage(`${label} saved to ${fullPath}`);
+  }
+}
+
+function csvCell(value: unknown): string {
+  if (value === undefined || value === null) return '""';
+  const str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return `"${str.replace(/"/g, '""')}"`;
+}
+
+// Opt-in: keeps exports saved inside a workspace folder out of version control
+async function addToGitignore(filePath: string): Promise<void> {
+  if (!vscode.workspace.getConfiguration(CONFIG_NAMESPACE).get<boolean>('addExportsToGitignore', false)) return;
 
-  const now = new Date();
-  const ts = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}_${String(now.getHours()).padStart(2, '0')}-${String(now.getMinutes()).padStart(2, '0')}`;
-  const fullPath = join(folder, `${baseFileName}-${ts}.csv`);
+  const wk = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(filePath));
+  if (!wk) return;
 
-  let content = csvHeader ?? '';
+  // The shared export folder is ignored as a whole; anywhere else only the exported file itself is
+  const rel = relative(wk.uri.fsPath, filePath).split(sep).join('/');
+  const entry = rel.startsWith(`${EXPORT_ROOT_FOLDER}/`) ? `/${EXPORT_ROOT_FOLDER}` : `/${rel}`;
+  const gitignorePath = join(wk.uri.fsPath, '.gitignore');
   try {
-    const existing = await fs.readFile(fullPath, 'utf8');
-    content = existing + '\n';
+    let content = await fs.readFile(gitignorePath, 'utf8');
+    if (!content.split(/\r?\n/).includes(entry)) {
+      if (content && !content.endsWith('\n')) content += '\n';
+      content += entry + '\n';
+      await fs.writeFile(gitignorePath, content, 'utf8');
+    }
   } catch {
-    // File does not exist; use header if provided
+    // No .gitignore in this workspace folder; nothing to update
   }
+}
 
-  content += csvContent + '\n';
+function resolveHome(value: string): string {
+  return value === '~' || value.startsWith('~/') ? join(homedir(), value.slice(1)) : value;
+}
 
+async function exists(path: string): Promise<boolean> {
   try {
-    await fs.writeFile(fullPath, content, 'utf8');
-    vscode.window.showInformationMessage(`CSV saved to ${fullPath}`);
-  } catch (err: any) {
-    vscode.window.showErrorMessage(`CSV save failed: ${err.message}`);
+    await fs.access(path);
+    return true;
+  } catch {
+    return false;
   }
 }
-// END function to export CSV
+
+function formatFileTimestamp(now: Date): string {
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}_${String(now.getHours()).padStart(2, '0')}-${String(now.getMinutes()).padStart(2, '0')}-${String(now.getSeconds()).padStart(2, '0')}`;
+}
 
 
-export { ensureModuleFolder };
+export { resolveDefaultExportFolder };
@@ -0,0 +1,169 @@
+/*****************************************************************************
+ *   Extension:   Microsoft Azure CIDRs Analyzer                             *
+ *   Author:      elelabdev                                                  *
+ *   Description: Query right from Visual Studio Code all Microsoft Azure    *
+ *                subscriptions and search for specific CIDRs in use.        *
+ *   Github:      https://github.com/elelabdev/microsoft-azure-cidr-analyzer *
+ *                                                                           *
+ *   Icon Author: elelab                                                     *
+ *                                                                           *
+ *   Copyright (C) 2025 elelab                                               *
+ *   https://www.elelab.dev                                                  *
+ *                                                                           *
+ *   Licensed under the MIT License. See LICENSE file in the project         *
+ *   root for details.                                                       *
+ ****************************************************************************/
+
+// src/helpers/http.ts
+
+const DEFAULT_MAX_RETRIES = 5;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60000;
+
+// =========================================================================
+// TYPES
+// =========================================================================
+export interface RetryWaitInfo {
+  reason: 'throttled' | 'serverError' | 'quota';
+  delayMs: number;
+  attempt: number;
+  status?: number;
+}
+
+export interface RetryOptions {
+  maxRetries?: number;
+  onWait?: (info: RetryWaitInfo) => void;
+}
+
+// Resource Graph quota is per user, so every caller hitting the same host shares one gate
+const quotaBlockedUntil = new Map<string, number>();
+
+
+// =========================================================================
+// EXPORT functions
+// =========================================================================
+
+// BEGIN function to fetch with throttling-aware retries
+export async function fetchWithRetry(url: string, init: RequestInit, options: RetryOptions = {}): Promise<Response> {
+  const maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+  const origin = new URL(url).origin;
+  const signal = init.signal ?? undefined;
+
+  for (let attempt = 0; ; attempt += 1) {
+    const blockedFor = (quotaBlockedUntil.get(origin) ?? 0) - Date.now();
+    if (blockedFor > 0) {
+      options.onWait?.({ reason: 'quota', delayMs: blockedFor, attempt });
+      await delay(blockedFor, signal);
+    }
+
+    let response: Response;
+    try {
+      response = await fetch(url, init);
+    } catch (err) {
+      // Network failures are retried like 5xx unless the caller aborted
+      if ((err as Error)?.name === 'AbortError' || attempt >= maxRetries) throw err;
+      const delayMs = backoffDelay(attempt);
+      options.onWait?.({ reason: 'serverError', delayMs, attempt: attempt + 1 });
+      await delay(delayMs, signal);
+      continue;
+    }
+
+    recordQuota(origin, response.headers);
+
+    const retryable = response.status === 429 || response.status >= 500;
+    if (!retryable || attempt >= maxRetries) {
+      return response;
+    }
+
+    const delayMs = serverDelay(response.headers) ?? backoffDelay(attempt);
+    options.onWait?.({
+      reason: response.status === 429 ? 'throttled' : 'serverError',
+      delayMs,
+      attempt: attempt + 1,
+      status: response.status
+    });
+    // Drain the body so the connection can be reused
+    await response.arrayBuffer().catch(() => undefined);
+    await delay(delayMs, signal);
+  }
+}
+// END function to fetch with throttling-aware retries
+
+
+
+// BEGIN function to read the error message out of a failed Azure response
+export async function readErrorDetail(response: Response): Promise<string> {
+  const rawError = await response.text();
+  try {
+    const errBody = JSON.parse(rawError);
+    return errBody?.error?.message || JSON.stringify(errBody);
+  } catch {
+    return rawError || `${response.status}`;
+  }
+}
+// END function to read the error message out of a failed Azure response
+
+
+
+// =========================================================================
+// INTERNAL helpers
+// =========================================================================
+function recordQuota(origin: string, headers: Headers): void {
+  const remaining = headers.get('x-ms-user-quota-remaining');
+  if (remaining === null || Number(remaining) > 0) return;
+
+  const resetsAfter = parseTimeSpan(headers.get('x-ms-user-quota-resets-after'));
+  if (resetsAfter !== undefined) {
+    quotaBlockedUntil.set(origin, Date.now() + resetsAfter);
+  }
+}
+
+function serverDelay(headers: Headers): number | undefined {
+  const retryAfter = headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) {
+      return Math.min(MAX_DELAY_MS, Math.max(0, seconds * 1000));
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.min(MAX_DELAY_MS, Math.max(0, date - Date.now()));
+    }
+  }
+
+  const resetsAfter = parseTimeSpan(headers.get('x-ms-user-quota-resets-after'));
+  return resetsAfter === undefined ? undefined : Math.min(MAX_DELAY_MS, resetsAfter);
+}
+
+// Resource Graph sends quota resets as an hh:mm:ss time span
+function parseTimeSpan(value: string | null): number | undefined {
+  const match = value?.trim().match(/^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/);
+  if (!match) return;
+  const [, hours, minutes, seconds] = match;
+  return ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+}
+
+// Exponential backoff; half of each step is randomised so parallel callers spread out
+function backoffDelay(attempt: number): number {
+  const ceiling = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+// Waits are abortable so a cancelled search does not sit out a long Retry-After
+function delay(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = (): void => {
+      clearTimeout(timer);
+      reject(signal?.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
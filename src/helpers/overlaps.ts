@@ -0,0 +1,137 @@
+/*****************************************************************************
+ *   Extension:   Microsoft Azure CIDRs Analyzer                             *
+ *   Author:      elelabdev                                                  *
+ *   Description: Query right from Visual Studio Code all Microsoft Azure    *
+ *                subscriptions and search for specific CIDRs in use.        *
+ *   Github:      https://github.com/elelabdev/microsoft-azure-cidr-analyzer *
+ *                                                                           *
+ *   Icon Author: elelab                                                     *
+ *                                                                           *
+ *   Copyright (C) 2025 elelab                                               *
+ *   https://www.elelab.dev                                                  *
+ *                                                                           *
+ *   Licensed under the MIT License. See LICENSE file in the project         *
+ *   root for details.                                                       *
+ ****************************************************************************/
+
+// src/helpers/overlaps.ts
+
+// =========================================================================
+// IMPORT libraries or modules
+// =========================================================================
+import { IpRange, mergeRanges } from './cidr';
+
+// =========================================================================
+// TYPES
+// =========================================================================
+export type OverlapSeverity = 'identical' | 'partial' | 'containment';
+
+// Most disruptive first: identical spaces can never be peered or routed to each other
+export const OVERLAP_SEVERITIES: readonly OverlapSeverity[] = ['identical', 'partial', 'containment'];
+
+export interface OverlapEntry<T> {
+  range: IpRange;
+  // ARM resource ID, used to pair resources and skip a resource overlapping itself or its own children
+  resourceId: string;
+  // Shared by every prefix of the same resource
+  item: T;
+}
+
+export interface Overlap<T> {
+  severity: OverlapSeverity;
+  // For containment, `a` is the resource holding the larger address space
+  a: T;
+  b: T;
+  // Only the prefixes of each side that take part in the conflict
+  aRanges: IpRange[];
+  bRanges: IpRange[];
+}
+
+
+// =========================================================================
+// EXPORT functions
+// =========================================================================
+
+// BEGIN function to find every pair of unrelated resources whose address spaces overlap
+export function findOverlaps<T>(entries: OverlapEntry<T>[]): Overlap<T>[] {
+  // Sorted by start, larger blocks first, so a block only needs comparing against those still open
+  const sorted = [...entries].sort((x, y) =>
+    x.range.family - y.range.family
+    || compareBigInt(x.range.start, y.range.start)
+    || compareBigInt(y.range.end, x.range.end));
+
+  const pairs = new Map<string, { a: OverlapEntry<T>[]; b: OverlapEntry<T>[] }>();
+  let open: OverlapEntry<T>[] = [];
+  for (const entry of sorted) {
+    open = open.filter(candidate => candidate.range.family === entry.range.family && candidate.range.end >= entry.range.start);
+    for (const candidate of open) {
+      if (isRelated(candidate.resourceId, entry.resourceId)) continue;
+
+      // Key the pair in a fixed order so prefixes of the same two resources land together
+      const [first, second] = candidate.resourceId.toLowerCase() < entry.resourceId.toLowerCase()
+        ? [candidate, entry]
+        : [entry, candidate];
+      const key = `${first.resourceId.toLowerCase()}|${second.resourceId.toLowerCase()}`;
+      const pair = pairs.get(key) ?? { a: [], b: [] };
+      addUnique(pair.a, first);
+      addUnique(pair.b, second);
+      pairs.set(key, pair);
+    }
+    open.push(entry);
+  }
+
+  // Severity compares whole address spaces, since a VNet can hold several prefixes
+  const spaces = new Map<string, IpRange[]>();
+  for (const entry of entries) {
+    const key = entry.resourceId.toLowerCase();
+    spaces.set(key, [...(spaces.get(key) ?? []), entry.range]);
+  }
+
+  const overlaps: Overlap<T>[] = [];
+  for (const { a, b } of pairs.values()) {
+    const aSpace = spaces.get(a[0].resourceId.toLowerCase()) ?? [];
+    const bSpace = spaces.get(b[0].resourceId.toLowerCase()) ?? [];
+    const aCoversB = covers(aSpace, bSpace);
+    const bCoversA = covers(bSpace, aSpace);
+
+    const severity: OverlapSeverity = aCoversB && bCoversA ? 'identical' : aCoversB || bCoversA ? 'containment' : 'partial';
+    const [larger, smaller] = bCoversA && !aCoversB ? [b, a] : [a, b];
+    overlaps.push({
+      severity,
+      a: larger[0].item,
+      b: smaller[0].item,
+      aRanges: larger.map(entry => entry.range),
+      bRanges: smaller.map(entry => entry.range)
+    });
+  }
+  return overlaps;
+}
+// END function to find every pair of unrelated resources whose address spaces overlap
+
+
+
+// =========================================================================
+// INTERNAL helpers
+// =========================================================================
+// True when every range of `inner` lies inside the union of `outer`.
+// Adjacent blocks are merged too, so a /16 split over two VNet prefixes still counts as one.
+function covers(outer: IpRange[], inner: IpRange[]): boolean {
+  const merged = mergeRanges(outer);
+  return inner.every(range => merged.some(block =>
+    block.family === range.family && block.start <= range.start && block.end >= range.end));
+}
+
+function addUnique<T>(list: OverlapEntry<T>[], entry: OverlapEntry<T>): void {
+  if (!list.includes(entry)) list.push(entry);
+}
+
+// The same resource, or a parent and its child such as a VNet and one of its subnets
+function isRelated(first: string, second: string): boolean {
+  const a = first.toLowerCase();
+  const b = second.toLowerCase();
+  return a === b || a.startsWith(`${b}/`) || b.startsWith(`${a}/`);
+}
+
+function compareBigInt(a: bigint, b: bigint): number {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
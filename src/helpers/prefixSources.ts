@@ -0,0 +1,274 @@
+/*****************************************************************************
+ *   Extension:   Microsoft Azure CIDRs Analyzer                             *
+ *   Author:      elelabdev                                                  *
+ *   Description: Query right from Visual Studio Code all Microsoft Azure    *
+ *                subscriptions and search for specific CIDRs in use.        *
+ *   Github:      https://github.com/elelabdev/microsoft-azure-cidr-analyzer *
+ *                                                                           *
+ *   Icon Author: elelab                                                     *
+ *                                                                           *
+ *   Copyright (C) 2025 elelab                                               *
+ *   https://www.elelab.dev                                                  *
+ *                                                                           *
+ *   Licensed under the MIT License. See LICENSE file in the project         *
+ *   root for details.                                                       *
+ ****************************************************************************/
+
+// src/helpers/prefixSources.ts
+
+// Resource Graph caps mv-expand at 128 rows per record unless a higher limit (max 400) is given
+const MV_EXPAND_LIMIT = 400;
+
+// =========================================================================
+// TYPES
+// =========================================================================
+export type PrefixSourceId =
+  | 'virtualNetworks'
+  | 'subnets'
+  | 'publicIpPrefixes'
+  | 'ipGroups'
+  | 'localNetworkGateways'
+  | 'virtualHubs'
+  | 'vpnSites'
+  | 'expressRouteCircuits'
+  | 'vpnGatewayClientPools'
+  | 'virtualWanClientPools'
+  | 'aksClusters'
+  | 'routeTables'
+  | 'networkSecurityGroups'
+  | 'azureFirewalls';
+
+interface PrefixField {
+  // KQL expression read from `item`: the resource properties, or one element of the collection
+  expr: string;
+  // Property path reported in the source column
+  label: string;
+  // single: one prefix; list: array of prefixes; ruleList: array nested one level deeper, under item.properties.rules
+  kind: 'single' | 'list' | 'ruleList';
+}
+
+export interface PrefixSource {
+  id: PrefixSourceId;
+  label: string;
+  type: string;
+  // Nested array expanded first, so every element gets its own name in the source column
+  collection?: { expr: string; label: string };
+  fields: PrefixField[];
+  // Prefixes that only reference address space (routes, rules) rather than allocate it
+  reference?: boolean;
+  // Address space that is carved up by child resources rather than used directly
+  container?: boolean;
+}
+
+export const PREFIX_SOURCES: PrefixSource[] = [
+  {
+    id: 'virtualNetworks',
+    label: 'VNet address space',
+    type: 'microsoft.network/virtualnetworks',
+    container: true,
+    fields: [{ expr: 'item.addressSpace.addressPrefixes', label: 'addressSpace.addressPrefixes', kind: 'list' }]
+  },
+  {
+    id: 'subnets',
+    label: 'Subnets',
+    type: 'microsoft.network/virtualnetworks/subnets',
+    fields: [
+      { expr: 'item.addressPrefix', label: 'addressPrefix', kind: 'single' },
+      { expr: 'item.addressPrefixes', label: 'addressPrefixes', kind: 'list' }
+    ]
+  },
+  {
+    id: 'publicIpPrefixes',
+    label: 'Public IP prefixes',
+    type: 'microsoft.network/publicipprefixes',
+    fields: [{ expr: 'item.ipPrefix', label: 'ipPrefix', kind: 'single' }]
+  },
+  {
+    id: 'ipGroups',
+    label: 'IP Groups',
+    type: 'microsoft.network/ipgroups',
+    fields: [{ expr: 'item.ipAddresses', label: 'ipAddresses', kind: 'list' }]
+  },
+  {
+    id: 'localNetworkGateways',
+    label: 'Local network gateways (on-premises)',
+    type: 'microsoft.network/localnetworkgateways',
+    fields: [{ expr: 'item.localNetworkAddressSpace.addressPrefixes', label: 'localNetworkAddressSpace.addressPrefixes', kind: 'list' }]
+  },
+  {
+    id: 'virtualHubs',
+    label: 'Virtual hubs',
+    type: 'microsoft.network/virtualhubs',
+    fields: [{ expr: 'item.addressPrefix', label: 'addressPrefix', kind: 'single' }]
+  },
+  {
+    id: 'vpnSites',
+    label: 'VPN sites',
+    type: 'microsoft.network/vpnsites',
+    fields: [{ expr: 'item.addressSpace.addressPrefixes', label: 'addressSpace.addressPrefixes', kind: 'list' }]
+  },
+  {
+    id: 'expressRouteCircuits',
+    label: 'ExpressRoute circuit peerings',
+    type: 'microsoft.network/expressroutecircuits',
+    collection: { expr: 'properties.peerings', label: 'peerings' },
+    fields: [
+      { expr: 'item.properties.primaryPeerAddressPrefix', label: 'primaryPeerAddressPrefix', kind: 'single' },
+      { expr: 'item.properties.secondaryPeerAddressPrefix', label: 'secondaryPeerAddressPrefix', kind: 'single' },
+      { expr: 'item.properties.ipv6PeeringConfig.primaryPeerAddressPrefix', label: 'ipv6PeeringConfig.primaryPeerAddressPrefix', kind: 'single' },
+      { expr: 'item.properties.ipv6PeeringConfig.secondaryPeerAddressPrefix', label: 'ipv6PeeringConfig.secondaryPeerAddressPrefix', kind: 'single' },
+      { expr: 'item.properties.microsoftPeeringConfig.advertisedPublicPrefixes', label: 'microsoftPeeringConfig.advertisedPublicPrefixes', kind: 'list' }
+    ]
+  },
+  {
+    id: 'vpnGatewayClientPools',
+    label: 'P2S VPN client pools (VPN gateways)',
+    type: 'microsoft.network/virtualnetworkgateways',
+    fields: [{ expr: 'item.vpnClientConfiguration.vpnClientAddressPool.addressPrefixes', label: 'vpnClientConfiguration.vpnClientAddressPool.addressPrefixes', kind: 'list' }]
+  },
+  {
+    id: 'virtualWanClientPools',
+    label: 'P2S VPN client pools (Virtual WAN)',
+    type: 'microsoft.network/p2svpngateways',
+    collection: { expr: 'properties.p2SConnectionConfigurations', label: 'p2SConnectionConfigurations' },
+    fields: [{ expr: 'item.properties.vpnClientAddressPool.addressPrefixes', label: 'vpnClientAddressPool.addressPrefixes', kind: 'list' }]
+  },
+  {
+    id: 'aksClusters',
+    label: 'AKS pod and service CIDRs',
+    type: 'microsoft.containerservice/managedclusters',
+    fields: [
+      { expr: 'item.networkProfile.podCidr', label: 'networkProfile.podCidr', kind: 'single' },
+      { expr: 'item.networkProfile.serviceCidr', label: 'networkProfile.serviceCidr', kind: 'single' },
+      { expr: 'item.networkProfile.podCidrs', label: 'networkProfile.podCidrs', kind: 'list' },
+      { expr: 'item.networkProfile.serviceCidrs', label: 'networkProfile.serviceCidrs', kind: 'list' }
+    ]
+  },
+  {
+    id: 'routeTables',
+    label: 'Route table routes',
+    type: 'microsoft.network/routetables',
+    collection: { expr: 'properties.routes', label: 'routes' },
+    reference: true,
+    fields: [{ expr: 'item.properties.addressPrefix', label: 'addressPrefix', kind: 'single' }]
+  },
+  {
+    id: 'networkSecurityGroups',
+    label: 'NSG rule prefixes',
+    type: 'microsoft.network/networksecuritygroups',
+    collection: { expr: 'properties.securityRules', label: 'securityRules' },
+    reference: true,
+    fields: [
+      { expr: 'item.properties.sourceAddressPrefix', label: 'sourceAddressPrefix', kind: 'single' },
+      { expr: 'item.properties.sourceAddressPrefixes', label: 'sourceAddressPrefixes', kind: 'list' },
+      { expr: 'item.properties.destinationAddressPrefix', label: 'destinationAddressPrefix', kind: 'single' },
+      { expr: 'item.properties.destinationAddressPrefixes', label: 'destinationAddressPrefixes', kind: 'list' }
+    ]
+  },
+  {
+    id: 'azureFirewalls',
+    label: 'Azure Firewall rule prefixes (classic rules)',
+    type: 'microsoft.network/azurefirewalls',
+    collection: {
+      expr: `array_concat(${['networkRuleCollections', 'natRuleCollections', 'applicationRuleCollections']
+        .map(name => `iff(array_length(properties.${name}) > 0, properties.${name}, dynamic([]))`)
+        .join(', ')})`,
+      label: 'ruleCollections'
+    },
+    reference: true,
+    fields: [
+      { expr: 'sourceAddresses', label: 'rules.sourceAddresses', kind: 'ruleList' },
+      { expr: 'destinationAddresses', label: 'rules.destinationAddresses', kind: 'ruleList' }
+    ]
+  }
+];
+
+// Sources that hold allocated address space; rule and route prefixes only reference it
+export const DEFAULT_PREFIX_SOURCES: PrefixSourceId[] = PREFIX_SOURCES
+  .filter(source => !source.reference)
+  .map(source => source.id);
+
+
+// =========================================================================
+// EXPORT functions
+// =========================================================================
+
+// BEGIN function to check whether a value is a known prefix source
+export function isPrefixSourceId(value: unknown): value is PrefixSourceId {
+  return typeof value === 'string' && PREFIX_SOURCES.some(source => source.id === value);
+}
+// END function to check whether a value is a known prefix source
+
+
+
+// BEGIN function to find the prefix source reading a resource type
+export function getPrefixSourceForType(type: unknown): PrefixSource | undefined {
+  const lower = String(type ?? '').toLowerCase();
+  return PREFIX_SOURCES.find(source => source.type === lower);
+}
+// END function to find the prefix source reading a resource type
+
+
+
+// BEGIN function to build the Resource Graph query that emits one prefixStr/source row per prefix
+export function buildPrefixExtractionQuery(ids: PrefixSourceId[]): string {
+  const selected = PREFIX_SOURCES.filter(source => ids.includes(source.id));
+  const sources = selected.length ? selected : PREFIX_SOURCES.filter(source => DEFAULT_PREFIX_SOURCES.includes(source.id));
+
+  const types = sources.map(source => `'${source.type}'`).join(', ');
+  const itemCases = sources
+    .filter(source => source.collection)
+    .map(source => `    type =~ '${source.type}', ${source.collection!.expr},`);
+  // case() needs at least one branch, so plain resources skip it entirely
+  const items = itemCases.length
+    ? `case(\n${itemCases.join('\n')}\n    pack_array(properties)\n  )`
+    : 'pack_array(properties)';
+  const prefixCases = sources.map(source =>
+    `    type =~ '${source.type}', array_concat(${source.fields.map(fieldValues).join(', ')}),`);
+  const labelCases = sources.map(source =>
+    `    type =~ '${source.type}', array_concat(${source.fields.map(field => fieldLabels(source, field)).join(', ')}),`);
+
+  // Two mv-expand stages (the Resource Graph maximum): nested collections first, then the prefixes themselves.
+  // Rules also carry service tags and '*', which are not address space, so only address-like values are kept.
+  return `Resources
+| where type in~ (${types})
+| extend items = ${items}
+| mv-expand item = items limit ${MV_EXPAND_LIMIT}
+| extend prefixes = case(
+${prefixCases.join('\n')}
+    dynamic([])
+  ), sources = case(
+${labelCases.join('\n')}
+    dynamic([])
+  )
+| mv-expand prefix = prefixes, source = sources limit ${MV_EXPAND_LIMIT}
+| where isnotempty(prefix)
+| extend prefixStr = tolower(tostring(prefix)), source = tostring(source)
+| where prefixStr matches regex @'^[0-9a-f.:/-]+$'`;
+}
+// END function to build the Resource Graph query that emits one prefixStr/source row per prefix
+
+
+
+// =========================================================================
+// INTERNAL helpers
+// =========================================================================
+function fieldValues(field: PrefixField): string {
+  if (field.kind === 'single') {
+    return `pack_array(${field.expr})`;
+  }
+  if (field.kind === 'list') {
+    // Missing arrays are null, which array_concat and repeat do not accept
+    return `iff(array_length(${field.expr}) > 0, ${field.expr}, dynamic([]))`;
+  }
+  // KQL cannot map over arrays, so the rule lists are cut out of the JSON text and re-parsed as one array
+  const lists = `set_difference(extract_all(@'"${field.expr}":\\[([^\\]]*)\\]', tostring(item.properties.rules)), dynamic(['']))`;
+  return `parse_json(strcat('[', strcat_array(${lists}, ','), ']'))`;
+}
+
+function fieldLabels(source: PrefixSource, field: PrefixField): string {
+  const label = source.collection
+    ? `strcat('${source.collection.label}/', tostring(item.name), '.${field.label}')`
+    : `'${field.label}'`;
+  return `repeat(${label}, array_length(${fieldValues(field)}))`;
+}
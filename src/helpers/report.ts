@@ -0,0 +1,143 @@
+/*****************************************************************************
+ *   Extension:   Microsoft Azure CIDRs Analyzer                             *
+ *   Author:      elelabdev                                                  *
+ *   Description: Query right from Visual Studio Code all Microsoft Azure    *
+ *                subscriptions and search for specific CIDRs in use.        *
+ *   Github:      https://github.com/elelabdev/microsoft-azure-cidr-analyzer *
+ *                                                                           *
+ *   Icon Author: elelab                                                     *
+ *                                                                           *
+ *   Copyright (C) 2025 elelab                                               *
+ *   https://www.elelab.dev                                                  *
+ *                                                                           *
+ *   Licensed under the MIT License. See LICENSE file in the project         *
+ *   root for details.                                                       *
+ ****************************************************************************/
+
+// src/helpers/report.ts
+
+// =========================================================================
+// TYPES
+// =========================================================================
+export type ReportFormat = 'markdown' | 'html';
+
+export interface ReportTable {
+  columns: string[];
+  rows: string[][];
+}
+
+export interface ReportData {
+  title: string;
+  generatedAt: Date;
+  // Label and value pairs describing the search
+  criteria: [string, string][];
+  status: ReportTable;
+  results: ReportTable;
+}
+
+export const REPORT_EXTENSIONS: Record<ReportFormat, string> = { markdown: 'md', html: 'html' };
+
+// Values go into style="" attributes, so they must not contain double quotes
+const HTML_STYLES = {
+  page: "font-family: -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; font-size: 14px; color: #1f2328;",
+  h1: 'font-size: 1.6rem;',
+  h2: 'font-size: 1.2rem; margin-top: 2rem;',
+  muted: 'color: #59636e;',
+  table: 'border-collapse: collapse; margin-top: 0.5rem;',
+  th: 'border: 1px solid #d0d7de; padding: 4px 8px; text-align: left; vertical-align: top; background: #f6f8fa;',
+  td: 'border: 1px solid #d0d7de; padding: 4px 8px; text-align: left; vertical-align: top;',
+  stripe: 'background: #f6f8fa;'
+};
+
+
+// =========================================================================
+// EXPORT functions
+// =========================================================================
+
+// BEGIN function to render a report in the requested format
+export function renderReport(report: ReportData, format: ReportFormat): string {
+  return format === 'html' ? renderHtml(report) : renderMarkdown(report);
+}
+// END function to render a report in the requested format
+
+
+
+// =========================================================================
+// INTERNAL helpers
+// =========================================================================
+function renderMarkdown(report: ReportData): string {
+  const table = ({ columns, rows }: ReportTable): string => {
+    if (!rows.length) return '_None._';
+    const line = (cells: string[]) => `| ${cells.map(escapeMarkdownCell).join(' | ')} |`;
+    return [line(columns), `| ${columns.map(() => '---').join(' | ')} |`, ...rows.map(line)].join('\n');
+  };
+
+  return [
+    `# ${report.title}`,
+    '',
+    `_Generated ${report.generatedAt.toISOString()}_`,
+    '',
+    '## Search criteria',
+    '',
+    table({ columns: ['Criterion', 'Value'], rows: report.criteria }),
+    '',
+    '## Subscription status',
+    '',
+    table(report.status),
+    '',
+    `## Results (${report.results.rows.length})`,
+    '',
+    table(report.results),
+    ''
+  ].join('\n');
+}
+
+// Pipes end a cell and line breaks end the row, so both are escaped to stay inside one cell
+function escapeMarkdownCell(value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+// Styles sit on each element, since wiki and ticket editors drop <style> blocks when the report is pasted in
+function renderHtml(report: ReportData): string {
+  const table = ({ columns, rows }: ReportTable): string => {
+    if (!rows.length) return `<p style="${HTML_STYLES.muted}">None.</p>`;
+    const head = columns.map(col => `<th style="${HTML_STYLES.th}">${escapeHtml(col)}</th>`).join('');
+    const body = rows
+      .map((row, index) => {
+        const cells = row.map(cell => `<td style="${HTML_STYLES.td}">${escapeHtml(cell)}</td>`).join('');
+        return index % 2 ? `<tr style="${HTML_STYLES.stripe}">${cells}</tr>` : `<tr>${cells}</tr>`;
+      })
+      .join('\n');
+    return `<table style="${HTML_STYLES.table}">\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+  };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeHtml(report.title)}</title>
+</head>
+<body style="margin: 2rem;">
+<div style="${HTML_STYLES.page}">
+<h1 style="${HTML_STYLES.h1}">${escapeHtml(report.title)}</h1>
+<p style="${HTML_STYLES.muted}">Generated ${escapeHtml(report.generatedAt.toISOString())}</p>
+<h2 style="${HTML_STYLES.h2}">Search criteria</h2>
+${table({ columns: ['Criterion', 'Value'], rows: report.criteria })}
+<h2 style="${HTML_STYLES.h2}">Subscription status</h2>
+${table(report.status)}
+<h2 style="${HTML_STYLES.h2}">Results (${report.results.rows.length})</h2>
+${table(report.results)}
+</div>
+</body>
+</html>
+`;
+}
+
+function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
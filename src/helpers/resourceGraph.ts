@@ -0,0 +1,192 @@
+/*****************************************************************************
+ *   Extension:   Microsoft Azure CIDRs Analyzer                             *
+ *   Author:      elelabdev                                                  *
+ *   Description: Query right from Visual Studio Code all Microsoft Azure    *
+ *                subscriptions and search for specific CIDRs in use.        *
+ *   Github:      https://github.com/elelabdev/microsoft-azure-cidr-analyzer *
+ *                                                                           *
+ *   Icon Author: elelab                                                     *
+ *                                                                           *
+ *   Copyright (C) 2025 elelab                                               *
+ *   https://www.elelab.dev                                                  *
+ *                                                                           *
+ *   Licensed under the MIT License. See LICENSE file in the project         *
+ *   root for details.                                                       *
+ ****************************************************************************/
+
+// src/helpers/resourceGraph.ts
+
+// =========================================================================
+// IMPORT libraries or modules
+// =========================================================================
+import * as vscode from 'vscode';
+import { AzureCredential } from './auth';
+import { RetryWaitInfo, fetchWithRetry, readErrorDetail } from './http';
+import { SubscriptionInfo } from './subscriptions';
+
+const CONFIG_NAMESPACE = 'azureCidrAnalyzer';
+
+// Largest page Resource Graph returns per request
+const RESOURCE_GRAPH_PAGE_SIZE = 1000;
+
+// =========================================================================
+// TYPES
+// =========================================================================
+export type GraphResult = Record<string, unknown>;
+
+export type GraphScope = { subscriptions: string[] } | { managementGroups: string[] };
+
+export interface GraphQueryOptions {
+  // Tenant owning every subscription in the request; tokens are tenant specific
+  tenantId?: string;
+  onPage?: (page: number, rowsSoFar: number) => void;
+  onWait?: (info: RetryWaitInfo) => void;
+  signal?: AbortSignal;
+  // Applied to every page, so rows that are filtered out are never held in memory
+  filter?: (rows: GraphResult[]) => GraphResult[];
+}
+
+export interface SubscriptionBatch {
+  tenantId?: string;
+  subscriptions: string[];
+}
+
+
+// =========================================================================
+// EXPORT functions
+// =========================================================================
+
+// BEGIN function to run a Resource Graph query over a scope, following every result page
+export async function queryResourceGraph(
+  credential: AzureCredential,
+  query: string,
+  scope: GraphScope,
+  options: GraphQueryOptions = {}
+): Promise<GraphResult[]> {
+  const scopeIds = 'subscriptions' in scope ? scope.subscriptions : scope.managementGroups;
+  if (!scopeIds.length) {
+    return [];
+  }
+
+  const endpoint = `${credential.cloud.resourceManager}/providers/Microsoft.ResourceGraph/resources?api-version=2022-10-01`;
+
+  console.log('[AzureCIDR] Query scope:', scopeIds.join(', '));
+  console.log('[AzureCIDR] Query string:', query);
+
+  const results: GraphResult[] = [];
+  let skipToken: string | undefined;
+  let page = 0;
+  let rowsSoFar = 0;
+
+  // Follow $skipToken until Resource Graph reports no further pages
+  do {
+    page += 1;
+    const token = await credential.getToken(options.tenantId);
+    const response = await fetchWithRetry(endpoint, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        ...scope,
+        query,
+        options: {
+          resultFormat: 'objectArray',
+          $top: RESOURCE_GRAPH_PAGE_SIZE,
+          ...(skipToken ? { $skipToken: skipToken } : {})
+        }
+      }),
+      signal: options.signal
+    }, { onWait: options.onWait });
+
+    if (!response.ok) {
+      const errorText = await readErrorDetail(response);
+      console.error('[AzureCIDR] Request failed:', errorText);
+      throw new Error(`Azure Resource Graph request failed: ${errorText}`);
+    }
+
+    const data = await response.json();
+    const rows: GraphResult[] = Array.isArray(data?.data) ? data.data : [];
+    rowsSoFar += rows.length;
+    results.push(...(options.filter ? options.filter(rows) : rows));
+
+    skipToken = typeof data?.$skipToken === 'string' && data.$skipToken ? data.$skipToken : undefined;
+    options.onPage?.(page, rowsSoFar);
+  } while (skipToken);
+
+  return results;
+}
+// END function to run a Resource Graph query over a scope, following every result page
+
+
+
+// BEGIN function to group subscriptions into Resource Graph requests of the configured size
+export function buildSubscriptionBatches(subscriptions: SubscriptionInfo[]): SubscriptionBatch[] {
+  const { batchSize } = getBatchSettings();
+
+  // A Resource Graph request only carries one token, so batches never mix tenants
+  const byTenant = new Map<string, string[]>();
+  for (const sub of subscriptions) {
+    const key = sub.tenantId ?? '';
+    byTenant.set(key, [...(byTenant.get(key) ?? []), sub.id]);
+  }
+  return Array.from(byTenant.entries()).flatMap(([tenantId, ids]) =>
+    chunk(ids, batchSize).map(batchIds => ({ tenantId: tenantId || undefined, subscriptions: batchIds })));
+}
+// END function to group subscriptions into Resource Graph requests of the configured size
+
+
+
+// BEGIN function to read the batch size and request concurrency settings
+export function getBatchSettings(): { batchSize: number; concurrency: number } {
+  const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+  return {
+    batchSize: clamp(config.get<number>('subscriptionBatchSize', 100), 1, 1000),
+    concurrency: clamp(config.get<number>('maxConcurrentRequests', 4), 1, 16)
+  };
+}
+// END function to read the batch size and request concurrency settings
+
+
+
+// BEGIN function to run workers over a list with a fixed number in flight, stopping once aborted
+export async function runWithConcurrency<T>(
+  items: T[],
+  limit: number,
+  signal: AbortSignal,
+  worker: (item: T) => Promise<void>
+): Promise<void> {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length && !signal.aborted) {
+      const item = items[next];
+      next += 1;
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
+// END function to run workers over a list with a fixed number in flight, stopping once aborted
+
+
+
+// BEGIN function to round a numeric setting down and keep it within bounds
+export function clamp(value: number, min: number, max: number): number {
+  const numeric = Number.isFinite(value) ? Math.floor(value) : min;
+  return Math.min(max, Math.max(min, numeric));
+}
+// END function to round a numeric setting down and keep it within bounds
+
+
+
+// =========================================================================
+// INTERNAL helpers
+// =========================================================================
+function chunk<T>(items: T[], size: number): T[][] {
+  const chunks: T[][] = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
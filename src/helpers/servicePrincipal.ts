@@ -0,0 +1,130 @@
+/*****************************************************************************
+ *   Extension:   Microsoft Azure CIDRs Analyzer                             *
+ *   Author:      elelabdev                                                  *
+ *   Description: Query right from Visual Studio Code all Microsoft Azure    *
+ *                subscriptions and search for specific CIDRs in use.        *
+ *   Github:      https://github.com/elelabdev/microsoft-azure-cidr-analyzer *
+ *                                                                           *
+ *   Icon Author: elelab                                                     *
+ *                                                                           *
+ *   Copyright (C) 2025 elelab                                               *
+ *   https://www.elelab.dev                                                  *
+ *                                                                           *
+ *   Licensed under the MIT License. See LICENSE file in the project         *
+ *   root for details.                                                       *
+ ****************************************************************************/
+
+// src/helpers/servicePrincipal.ts
+
+// =========================================================================
+// IMPORT libraries or modules
+// =========================================================================
+import { X509Certificate, createHash, createSign, randomUUID } from 'crypto';
+import { EXPIRY_SKEW_MS } from './tokens';
+
+const ASSERTION_LIFETIME_SECONDS = 10 * 60;
+
+// =========================================================================
+// TYPES
+// =========================================================================
+export interface ServicePrincipalOptions {
+  authority: string;
+  tenantId: string;
+  clientId: string;
+  scope: string;
+  // Exactly one of these is expected
+  clientSecret?: string;
+  certificatePem?: string;
+}
+
+interface CachedToken {
+  accessToken: string;
+  expiresOn: Date;
+}
+
+const tokenCache = new Map<string, CachedToken>();
+
+
+// =========================================================================
+// EXPORT functions
+// =========================================================================
+
+// BEGIN function to get a token through the OAuth2 client-credentials flow, cached until it expires
+export async function getServicePrincipalToken(options: ServicePrincipalOptions): Promise<string> {
+  const tokenEndpoint = `${options.authority.replace(/\/+$/, '')}/${encodeURIComponent(options.tenantId)}/oauth2/v2.0/token`;
+  const cacheKey = `${tokenEndpoint}|${options.clientId}|${options.scope}`;
+
+  const cached = tokenCache.get(cacheKey);
+  if (cached && cached.expiresOn.getTime() - EXPIRY_SKEW_MS > Date.now()) {
+    return cached.accessToken;
+  }
+
+  const form = new URLSearchParams({
+    grant_type: 'client_credentials',
+    client_id: options.clientId,
+    scope: options.scope
+  });
+  if (options.certificatePem) {
+    form.set('client_assertion_type', 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer');
+    form.set('client_assertion', buildClientAssertion(options.certificatePem, options.clientId, tokenEndpoint));
+  } else if (options.clientSecret) {
+    form.set('client_secret', options.clientSecret);
+  } else {
+    throw new Error('No client secret or certificate is stored for the service principal.');
+  }
+
+  const response = await fetch(tokenEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: form.toString()
+  });
+
+  const text = await response.text();
+  let payload: any;
+  try {
+    payload = JSON.parse(text);
+  } catch {
+    payload = undefined;
+  }
+
+  if (!response.ok || typeof payload?.access_token !== 'string') {
+    const detail = payload?.error_description || payload?.error || text || `${response.status}`;
+    throw new Error(`Service principal sign-in failed: ${detail}`);
+  }
+
+  const expiresIn = Number(payload.expires_in);
+  const token: CachedToken = {
+    accessToken: payload.access_token,
+    expiresOn: new Date(Date.now() + (Number.isFinite(expiresIn) ? expiresIn : 3600) * 1000)
+  };
+  tokenCache.set(cacheKey, token);
+  return token.accessToken;
+}
+// END function to get a token through the OAuth2 client-credentials flow, cached until it expires
+
+
+
+// =========================================================================
+// INTERNAL helpers
+// =========================================================================
+function buildClientAssertion(pem: string, clientId: string, audience: string): string {
+  const certificate = new X509Certificate(pem);
+  const thumbprint = createHash('sha1').update(certificate.raw).digest('base64url');
+
+  const now = Math.floor(Date.now() / 1000);
+  const header = { alg: 'RS256', typ: 'JWT', x5t: thumbprint };
+  const claims = {
+    aud: audience,
+    iss: clientId,
+    sub: clientId,
+    jti: randomUUID(),
+    nbf: now,
+    exp: now + ASSERTION_LIFETIME_SECONDS
+  };
+
+  const encode = (value: object): string => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode(header)}.${encode(claims)}`;
+  // The PEM bundle holds both the certificate and its private key; createSign picks the key block
+  const signature = createSign('RSA-SHA256').update(unsigned).sign(pem, 'base64url');
+  return `${unsigned}.${signature}`;
+}
@@ -0,0 +1,201 @@
+/*****************************************************************************
+ *   Extension:   Microsoft Azure CIDRs Analyzer                             *
+ *   Author:      elelabdev                                                  *
+ *   Description: Query right from Visual Studio Code all Microsoft Azure    *
+ *                subscriptions and search for specific CIDRs in use.        *
+ *   Github:      https://github.com/elelabdev/microsoft-azure-cidr-analyzer *
+ *                                                                           *
+ *   Icon Author: elelab                                                     *
+ *                                                                           *
+ *   Copyright (C) 2025 elelab                                               *
+ *   https://www.elelab.dev                                                  *
+ *                                                                           *
+ *   Licensed under the MIT License. See LICENSE file in the project         *
+ *   root for details.                                                       *
+ ****************************************************************************/
+
+// src/helpers/subscriptions.ts
+
+// =========================================================================
+// IMPORT libraries or modules
+// =========================================================================
+import * as vscode from 'vscode';
+import { AzureCredential } from './auth';
+import { fetchWithRetry, readErrorDetail } from './http';
+
+const CONFIG_NAMESPACE = 'azureCidrAnalyzer';
+
+// =========================================================================
+// TYPES
+// =========================================================================
+export interface SubscriptionInfo {
+  id: string;
+  name?: string;
+  tenantId?: string;
+  tenantName?: string;
+}
+
+interface TenantInfo {
+  tenantId: string;
+  name: string;
+}
+
+export interface SubscriptionListOptions {
+  signal?: AbortSignal;
+  // Never prompt for tenant sign-in (used while loading the picker)
+  silent?: boolean;
+}
+
+let cachedSubscriptions: SubscriptionInfo[] | undefined;
+let cachedCredentialId: string | undefined;
+
+
+// =========================================================================
+// EXPORT functions
+// =========================================================================
+
+// BEGIN function to list the subscriptions of the signed-in identity, across tenants when enabled
+export async function listSubscriptions(
+  credential: AzureCredential,
+  options: SubscriptionListOptions = {}
+): Promise<SubscriptionInfo[]> {
+  const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
+  const multiTenant = config.get<boolean>('multiTenant', false) && credential.supportsTenants;
+  const cacheKey = `${credential.id}|${multiTenant ? 'all-tenants' : 'home-tenant'}`;
+  if (cachedSubscriptions?.length && cachedCredentialId === cacheKey) {
+    return cachedSubscriptions;
+  }
+
+  let subs: SubscriptionInfo[] = [];
+  let complete = true;
+  if (!multiTenant) {
+    subs = await fetchSubscriptions(credential, undefined, options);
+  } else {
+    const failures: string[] = [];
+    for (const tenant of await listTenants(credential, options.signal)) {
+      try {
+        const tenantSubs = await fetchSubscriptions(credential, tenant.tenantId, options);
+        subs.push(...tenantSubs.map(sub => ({ ...sub, tenantName: tenant.name })));
+      } catch (errTenant: any) {
+        if (options.signal?.aborted) throw errTenant;
+        failures.push(`${tenant.name}: ${errTenant?.message ?? String(errTenant)}`);
+      }
+    }
+    if (failures.length) {
+      // Leave the cache empty so the next search retries the tenants that failed
+      complete = false;
+      vscode.window.showWarningMessage(`Some tenants were skipped: ${failures.join('; ')}`);
+    }
+  }
+
+  // Guest access can surface the same subscription through more than one tenant listing
+  const seen = new Set<string>();
+  subs = subs.filter(sub => {
+    const key = sub.id.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  if (!subs.length) {
+    throw new Error('No subscriptions returned for the current account. Verify the token scope and permissions.');
+  }
+
+  if (complete) {
+    cachedCredentialId = cacheKey;
+    cachedSubscriptions = subs;
+  }
+  return subs;
+}
+// END function to list the subscriptions of the signed-in identity, across tenants when enabled
+
+
+
+// BEGIN function to resolve the subscriptions picked in the webview, or all of them when none were picked
+export async function resolveSubscriptions(
+  credential: AzureCredential,
+  requested: string[],
+  signal?: AbortSignal
+): Promise<SubscriptionInfo[]> {
+  const all = await listSubscriptions(credential, { signal });
+  if (!requested.length) {
+    return all;
+  }
+
+  const byId = new Map(all.map(sub => [sub.id.toLowerCase(), sub] as const));
+  const unique: SubscriptionInfo[] = [];
+  const seen = new Set<string>();
+  for (const raw of requested) {
+    const key = raw.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const match = byId.get(key);
+    if (match) {
+      unique.push(match);
+    } else {
+      unique.push({ id: raw });
+    }
+  }
+  return unique;
+}
+// END function to resolve the subscriptions picked in the webview, or all of them when none were picked
+
+
+
+// =========================================================================
+// INTERNAL helpers
+// =========================================================================
+async function listTenants(credential: AzureCredential, signal?: AbortSignal): Promise<TenantInfo[]> {
+  const token = await credential.getToken();
+  const response = await fetchWithRetry(`${credential.cloud.resourceManager}/tenants?api-version=2022-12-01`, {
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    signal
+  });
+
+  if (!response.ok) {
+    throw new Error(`Unable to list tenants: ${await readErrorDetail(response)}`);
+  }
+
+  const payload = await response.json();
+  return Array.isArray(payload?.value)
+    ? payload.value
+        .filter((entry: any) => typeof entry?.tenantId === 'string' && entry.tenantId)
+        .map((entry: any) => ({
+          tenantId: entry.tenantId,
+          name: entry.displayName || entry.defaultDomain || entry.tenantId
+        }))
+    : [];
+}
+
+async function fetchSubscriptions(
+  credential: AzureCredential,
+  tenantId: string | undefined,
+  options: SubscriptionListOptions
+): Promise<SubscriptionInfo[]> {
+  const token = await credential.getToken(tenantId, options.silent);
+  const response = await fetchWithRetry(`${credential.cloud.resourceManager}/subscriptions?api-version=2020-01-01`, {
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    signal: options.signal
+  });
+
+  if (!response.ok) {
+    throw new Error(`Unable to list subscriptions: ${await readErrorDetail(response)}`);
+  }
+
+  const payload = await response.json();
+  return Array.isArray(payload?.value)
+    ? payload.value
+        .map((entry: any) => ({
+          id: typeof entry?.subscriptionId === 'string' ? entry.subscriptionId : '',
+          name: typeof entry?.displayName === 'string' ? entry.displayName : undefined,
+          tenantId: typeof entry?.tenantId === 'string' ? entry.tenantId : tenantId
+        }))
+        .filter((entry: SubscriptionInfo) => entry.id.length > 0)
+    : [];
+}
@@ -0,0 +1,59 @@
+/*****************************************************************************
+ *   Extension:   Microsoft Azure CIDRs Analyzer                             *
+ *   Author:      elelabdev                                                  *
+ *   Description: Query right from Visual Studio Code all Microsoft Azure    *
+ *                subscriptions and search for specific CIDRs in use.        *
+ *   Github:      https://github.com/elelabdev/microsoft-azure-cidr-analyzer *
+ *                                                                           *
+ *   Icon Author: elelab                                                     *
+ *                                                                           *
+ *   Copyright (C) 2025 elelab                                               *
+ *   https://www.elelab.dev                                                  *
+ *                                                                           *
+ *   Licensed under the MIT License. See LICENSE file in the project         *
+ *   root for details.                                                       *
+ ****************************************************************************/
+
+// src/helpers/tokens.ts
+
+// Token caches refresh this long before expiry so a token never expires mid-search
+export const EXPIRY_SKEW_MS = 5 * 60 * 1000;
+
+
+// =========================================================================
+// EXPORT functions
+// =========================================================================
+
+// BEGIN function to read the exp claim of a JWT access token
+export function getTokenExpiry(token: string): Date | undefined {
+  const exp = readTokenClaims(token)?.exp;
+  return typeof exp === 'number' ? new Date(exp * 1000) : undefined;
+}
+// END function to read the exp claim of a JWT access token
+
+
+
+// BEGIN function to read the oid claim identifying the signed-in user or service principal
+export function getTokenObjectId(token: string): string | undefined {
+  const oid = readTokenClaims(token)?.oid;
+  return typeof oid === 'string' ? oid : undefined;
+}
+// END function to read the oid claim identifying the signed-in user or service principal
+
+
+
+// =========================================================================
+// INTERNAL helpers
+// =========================================================================
+function readTokenClaims(token: string): Record<string, unknown> | undefined {
+  const payload = token.split('.')[1];
+  if (!payload) return;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims && typeof claims === 'object' ? claims : undefined;
+  } catch {
+    // Not a JWT; claims are unknown
+    return;
+  }
+}
@@ -0,0 +1,282 @@
+/*****************************************************************************
+ *   Extension:   Microsoft Azure CIDRs Analyzer                             *
+ *   Author:      elelabdev                                                  *
+ *   Description: Query right from Visual Studio Code all Microsoft Azure    *
+ *                subscriptions and search for specific CIDRs in use.        *
+ *   Github:      https://github.com/elelabdev/microsoft-azure-cidr-analyzer *
+ *                                                                           *
+ *   Icon Author: elelab                                                     *
+ *                                                                           *
+ *   Copyright (C) 2025 elelab                                               *
+ *   https://www.elelab.dev                                                  *
+ *                                                                           *
+ *   Licensed under the MIT License. See LICENSE file in the project         *
+ *   root for details.                                                       *
+ ****************************************************************************/
+
+// src/helpers/xlsx.ts
+
+// =========================================================================
+// IMPORT libraries or modules
+// =========================================================================
+import { deflateRawSync } from 'zlib';
+
+// Excel rejects sheet names longer than 31 characters or containing any of these
+const SHEET_NAME_MAX = 31;
+const SHEET_NAME_INVALID = /[\[\]:*?/\\]/g;
+const MIN_COLUMN_WIDTH = 8;
+const MAX_COLUMN_WIDTH = 60;
+// 1980-01-01, the earliest date a ZIP entry can carry
+const DOS_DATE = (1 << 5) | 1;
+
+// =========================================================================
+// TYPES
+// =========================================================================
+export type XlsxCell = string | number | boolean | null | undefined;
+
+export interface XlsxSheet {
+  name: string;
+  columns: string[];
+  rows: XlsxCell[][];
+}
+
+interface ZipEntry {
+  name: string;
+  data: Buffer;
+}
+
+
+// =========================================================================
+// EXPORT functions
+// =========================================================================
+
+// BEGIN function to build an XLSX workbook with a frozen, filterable header row on every sheet
+export function buildXlsx(sheets: XlsxSheet[]): Buffer {
+  const names = uniqueSheetNames(sheets.map(sheet => sheet.name));
+
+  const entries: ZipEntry[] = [
+    { name: '[Content_Types].xml', data: xml(contentTypes(sheets.length)) },
+    { name: '_rels/.rels', data: xml(rootRels()) },
+    { name: 'xl/workbook.xml', data: xml(workbook(sheets, names)) },
+    { name: 'xl/_rels/workbook.xml.rels', data: xml(workbookRels(sheets.length)) },
+    { name: 'xl/styles.xml', data: xml(styles()) },
+    ...sheets.map((sheet, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, data: xml(worksheet(sheet)) }))
+  ];
+  return buildZip(entries);
+}
+// END function to build an XLSX workbook with a frozen, filterable header row on every sheet
+
+
+
+// =========================================================================
+// INTERNAL helpers
+// =========================================================================
+function xml(body: string): Buffer {
+  return Buffer.from(`<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${body}`, 'utf8');
+}
+
+function escapeXml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters other than tab and newlines are not allowed in XML
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+function uniqueSheetNames(requested: string[]): string[] {
+  const used = new Set<string>();
+  return requested.map((name, index) => {
+    const base = (name.replace(SHEET_NAME_INVALID, '_').replace(/^'+|'+$/g, '').trim() || `Sheet${index + 1}`)
+      .slice(0, SHEET_NAME_MAX);
+    let candidate = base;
+    for (let n = 2; used.has(candidate.toLowerCase()); n += 1) {
+      const suffix = ` (${n})`;
+      candidate = base.slice(0, SHEET_NAME_MAX - suffix.length) + suffix;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnLetter(index: number): string {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+function cellXml(value: XlsxCell, ref: string, style?: number): string {
+  const s = style ? ` s="${style}"` : '';
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${s}><v>${value}</v></c>`;
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}"${s} t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${escapeXml(String(value))}</t></is></c>`;
+}
+
+function worksheet(sheet: XlsxSheet): string {
+  const lastColumn = columnLetter(Math.max(sheet.columns.length, 1) - 1);
+  const lastRow = sheet.rows.length + 1;
+
+  const widths = sheet.columns.map((column, index) => {
+    const longest = sheet.rows.reduce((max, row) => Math.max(max, String(row[index] ?? '').length), column.length);
+    return Math.min(MAX_COLUMN_WIDTH, Math.max(MIN_COLUMN_WIDTH, longest + 2));
+  });
+  const cols = widths
+    .map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`)
+    .join('');
+
+  const header = `<row r="1">${sheet.columns.map((column, index) => cellXml(column, `${columnLetter(index)}1`, 1)).join('')}</row>`;
+  const body = sheet.rows
+    .map((row, rowIndex) => {
+      const r = rowIndex + 2;
+      return `<row r="${r}">${sheet.columns.map((_, index) => cellXml(row[index], `${columnLetter(index)}${r}`)).join('')}</row>`;
+    })
+    .join('');
+
+  return `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+    + `<dimension ref="A1:${lastColumn}${lastRow}"/>`
+    + `<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>`
+    + `<sheetFormatPr defaultRowHeight="15"/>`
+    + (cols ? `<cols>${cols}</cols>` : '')
+    + `<sheetData>${header}${body}</sheetData>`
+    + (sheet.columns.length ? `<autoFilter ref="A1:${lastColumn}${lastRow}"/>` : '')
+    + `</worksheet>`;
+}
+
+function workbook(sheets: XlsxSheet[], names: string[]): string {
+  const sheetList = names
+    .map((name, index) => `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`)
+    .join('');
+  // Excel looks for the autofilter range in this hidden name as well as on the sheet
+  const filters = sheets
+    .map((sheet, index) => sheet.columns.length
+      ? `<definedName name="_xlnm._FilterDatabase" localSheetId="${index}" hidden="1">'${escapeXml(names[index].replace(/'/g, "''"))}'!$A$1:$${columnLetter(sheet.columns.length - 1)}$${sheet.rows.length + 1}</definedName>`
+      : '')
+    .join('');
+
+  return `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">`
+    + `<sheets>${sheetList}</sheets>`
+    + (filters ? `<definedNames>${filters}</definedNames>` : '')
+    + `</workbook>`;
+}
+
+function workbookRels(sheetCount: number): string {
+  const sheets = Array.from({ length: sheetCount }, (_, index) =>
+    `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`);
+  return `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + sheets.join('')
+    + `<Relationship Id="rId${sheetCount + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+    + `</Relationships>`;
+}
+
+function rootRels(): string {
+  return `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + `<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>`
+    + `</Relationships>`;
+}
+
+function contentTypes(sheetCount: number): string {
+  const sheets = Array.from({ length: sheetCount }, (_, index) =>
+    `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`);
+  return `<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+    + `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>`
+    + `<Default Extension="xml" ContentType="application/xml"/>`
+    + `<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>`
+    + `<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>`
+    + sheets.join('')
+    + `</Types>`;
+}
+
+// Style 1 is the bold header
+function styles(): string {
+  return `<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+    + `<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>`
+    + `<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>`
+    + `<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>`
+    + `<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>`
+    + `<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>`
+    + `<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>`
+    + `</styleSheet>`;
+}
+
+// Minimal ZIP writer (deflate, no ZIP64), enough for the package parts above
+function buildZip(entries: ZipEntry[]): Buffer {
+  const locals: Buffer[] = [];
+  const centrals: Buffer[] = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const compressed = deflateRawSync(entry.data);
+    const crc = crc32(entry.data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt16LE(DOS_DATE, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(entry.data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(DOS_DATE, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(entry.data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+let crcTable: Uint32Array | undefined;
+
+function crc32(data: Buffer): number {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
@@ -21,35 +21,158 @@
 // =========================================================================
 import * as vscode from 'vscode';
 import { getNonce } from '../helpers/nonce';
-import { exportCsv } from '../helpers/exporter';
-
-const CONFIG_NAMESPACE = 'azureCidrAnalyzer';
+import { exportCsv, exportJson, exportReport, exportXlsx } from '../helpers/exporter';
+import { ReportData, ReportFormat } from '../helpers/report';
+import { XlsxCell, XlsxSheet } from '../helpers/xlsx';
+import { AzureCredential, resolveCredential } from '../helpers/auth';
+import { RetryWaitInfo, fetchWithRetry, readErrorDetail } from '../helpers/http';
+import {
+  GraphQueryOptions,
+  GraphResult,
+  GraphScope,
+  buildSubscriptionBatches,
+  clamp,
+  getBatchSettings,
+  queryResourceGraph,
+  runWithConcurrency
+} from '../helpers/resourceGraph';
+import { SubscriptionInfo, listSubscriptions, resolveSubscriptions } from '../helpers/subscriptions';
+import { CAPACITY_EXTEND, CAPACITY_FIELDS, applyCapacityStats } from '../helpers/capacity';
+import {
+  CONNECTIVITY_QUERY,
+  buildConnectivityGraph,
+  findConnectedConflicts,
+  isConnectableType
+} from '../helpers/connectivity';
+import {
+  DEFAULT_PREFIX_SOURCES,
+  PREFIX_SOURCES,
+  PrefixSourceId,
+  buildPrefixExtractionQuery,
+  getPrefixSourceForType,
+  isPrefixSourceId
+} from '../helpers/prefixSources';
+import {
+  IpRange,
+  MatchMode,
+  SearchEntry,
+  checkBlockSize,
+  findFreeSpace,
+  formatIpRange,
+  isMatchMode,
+  normalizeSearchEntry,
+  parseIpRange,
+  rangeMatches,
+  toAddressCount
+} from '../helpers/cidr';
 
 // =========================================================================
 // TYPES
 // =========================================================================
-type GraphResult = Record<string, unknown>;
-
-interface SubscriptionInfo {
+interface ManagementGroupInfo {
+  // Management group name (the last segment of its resource ID), used as the Resource Graph scope
   id: string;
-  name?: string;
+  displayName: string;
+  parentId?: string;
+  depth: number;
+}
+
+type SearchScope = 'subscriptions' | 'managementGroups';
+
+interface SearchBatch {
+  // Progress-list entries updated by this batch
+  statusIds: string[];
+  scope: GraphScope;
+  tenantId?: string;
 }
 
 interface LookupMessage {
   command: 'lookupCidr';
   cidr: string;
+  matchMode?: MatchMode;
+  scope?: SearchScope;
   subscriptions?: string[];
+  managementGroups?: string[];
+  prefixSources?: string[];
+  // Present when the form asks for free blocks inside the searched prefix instead of matches
+  freeSpace?: FreeSpaceRequest;
+}
+
+interface FreeSpaceRequest {
+  prefixLength: number;
+  count?: number;
+}
+
+interface SearchTarget {
+  cidr: string;
+  range: IpRange;
+}
+
+const CONFIG_NAMESPACE = 'azureCidrAnalyzer';
+
+// Warn this long before a stored token stops working
+const TOKEN_EXPIRY_WARNING_MS = 10 * 60 * 1000;
+
+const DEFAULT_FREE_CANDIDATES = 5;
+const MAX_FREE_CANDIDATES = 256;
+const FREE_SPACE_COLUMNS = ['availability', 'prefixStr', 'prefixLength', 'addresses', 'addressFamily', 'parentPrefix'];
+
+const MATCH_MODE_LABELS: Record<MatchMode, string> = {
+  exact: 'exact match',
+  contains: 'prefixes contained in the search',
+  containedBy: 'prefixes containing the search',
+  overlaps: 'overlapping prefixes'
+};
+
+interface QueryOptions extends GraphQueryOptions {
+  prefixSources?: PrefixSourceId[];
 }
 
 interface ExportMessage {
-  command: 'exportCsv';
+  command: 'exportCsv' | 'exportJson' | 'exportXlsx' | 'exportReport';
+}
+
+// Written next to the results in JSON exports, so automation knows what the rows answer
+interface SearchMetadata {
+  startedAt: string;
+  cidrs: string[];
+  matchMode: MatchMode;
+  scope: SearchScope;
+  subscriptions: SubscriptionInfo[];
+  managementGroups: { id: string; displayName: string }[];
+  prefixSources: PrefixSourceId[];
+  freeSpace?: { parentPrefix: string; prefixLength: number };
+  cancelled: boolean;
+  // One entry per subscription or management group whose request failed
+  errors: { id: string; message: string }[];
+  // Last state shown in the progress list, keyed by subscription or management group ID
+  statuses: Record<string, ScopeStatus>;
+}
+
+interface ScopeStatus {
+  status: string;
+  count?: number;
+  message?: string;
 }
 
 interface RequestSubscriptionsMessage {
   command: 'requestSubscriptions';
 }
 
-type IncomingMessage = LookupMessage | ExportMessage | RequestSubscriptionsMessage;
+interface RequestManagementGroupsMessage {
+  command: 'requestManagementGroups';
+}
+
+interface CancelSearchMessage {
+  command: 'cancelSearch';
+}
+
+type IncomingMessage =
+  | LookupMessage
+  | ExportMessage
+  | RequestSubscriptionsMessage
+  | RequestManagementGroupsMessage
+  | CancelSearchMessage;
 
 // =========================================================================
 // EXPORT functions
@@ -91,91 +214,313 @@ export function openAzureCidrAnalyzer(context: vscode.ExtensionContext): void {
     elementsSrc: elementsUri.toString(),
     commonStyleSrc: commonStyleUri.toString(),
     styleSrc: styleUri.toString(),
-    scriptSrc: scriptUri.toString()
+    scriptSrc: scriptUri.toString(),
+    prefixSources: getConfiguredPrefixSources()
   });
 
   let lastResults: GraphResult[] = [];
+  let lastSearch: SearchMetadata | undefined;
+  let activeSearch: AbortController | undefined;
+
+  panel.onDidDispose(() => activeSearch?.abort());
 
   panel.webview.onDidReceiveMessage(async (message: IncomingMessage) => {
+    if (message.command === 'cancelSearch') {
+      activeSearch?.abort();
+      return;
+    }
+
     if (message.command === 'requestSubscriptions') {
-      await sendAvailableSubscriptions(panel);
+      await sendAvailableSubscriptions(context, panel);
+      return;
+    }
+
+    if (message.command === 'requestManagementGroups') {
+      await sendAvailableManagementGroups(context, panel);
       return;
     }
 
     if (message.command === 'lookupCidr') {
-      const cidrs = message.cidr
+      const entries = message.cidr
         .split(/[,\n]/)
         .map(part => part.trim())
-        .filter(Boolean);
+        .filter(Boolean)
+        .map(normalizeSearchEntry);
+
+      panel.webview.postMessage({ command: 'inputValidation', entries });
+
+      const invalidCount = entries.filter(entry => entry.error).length;
+      if (invalidCount) {
+        panel.webview.postMessage({
+          command: 'showError',
+          message: `Fix ${invalidCount} invalid entr${invalidCount === 1 ? 'y' : 'ies'} in the search field before searching.`
+        });
+        return;
+      }
+
+      const cidrs = Array.from(new Set(entries.flatMap(entry => entry.prefixes)));
+
+      let freeSpaceParent: IpRange | undefined;
+      if (message.freeSpace) {
+        freeSpaceParent = getFreeSpaceParent(entries);
+        const invalid = freeSpaceParent
+          ? checkBlockSize(freeSpaceParent, message.freeSpace.prefixLength)
+          : 'Enter exactly one parent prefix, such as 10.20.0.0/16, to find free address space.';
+        if (invalid) {
+          panel.webview.postMessage({ command: 'showError', message: invalid });
+          return;
+        }
+      }
+
+      // Free space needs every allocation touching the parent, which is what overlap matching returns
+      const matchMode: MatchMode = freeSpaceParent
+        ? 'overlaps'
+        : isMatchMode(message.matchMode) ? message.matchMode : 'exact';
+      // The form's resource-type checkboxes win over the setting, which only seeds them
+      const prefixSources = Array.isArray(message.prefixSources)
+        ? message.prefixSources.filter(isPrefixSourceId)
+        : getConfiguredPrefixSources();
+      if (!prefixSources.length) {
+        panel.webview.postMessage({ command: 'showError', message: 'Select at least one resource type to search.' });
+        return;
+      }
 
+      const scope: SearchScope = message.scope === 'managementGroups' ? 'managementGroups' : 'subscriptions';
       const requestedSubscriptions = Array.isArray(message.subscriptions)
         ? message.subscriptions.map(id => id.trim()).filter(Boolean)
         : [];
+      const requestedGroups = Array.isArray(message.managementGroups)
+        ? message.managementGroups.map(id => id.trim()).filter(Boolean)
+        : [];
+
+      activeSearch?.abort();
+      const search = new AbortController();
+      activeSearch = search;
+      // A newer search aborts this one; from then on the panel and results belong to the newer run
+      const isCurrent = () => activeSearch === search;
 
       panel.webview.postMessage({ command: 'setLoading', value: true });
       try {
-        const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
-        const token = (config.get<string>('azureGraphToken') || '').trim();
-        if (!token) {
-          throw new Error('Configure an Azure Resource Graph token in the Azure CIDR Analyzer settings first.');
+        const credential = await resolveCredential(context, true);
+        search.signal.throwIfAborted();
+        if (!credential) {
+          throw new Error('Sign in to Azure before searching.');
         }
+        notifyTokenExpiry(panel, credential);
+
+        const targets = buildSearchTargets(cidrs, matchMode);
 
-        const subscriptions = await resolveSubscriptions(token, requestedSubscriptions);
-        if (!subscriptions.length) {
-          throw new Error('No subscriptions available for the current token.');
+        const { concurrency } = getBatchSettings();
+        const metadata: SearchMetadata = {
+          startedAt: new Date().toISOString(),
+          cidrs,
+          matchMode,
+          scope,
+          subscriptions: [],
+          managementGroups: [],
+          prefixSources,
+          freeSpace: freeSpaceParent && message.freeSpace
+            ? { parentPrefix: formatIpRange(freeSpaceParent), prefixLength: message.freeSpace.prefixLength }
+            : undefined,
+          cancelled: false,
+          errors: [],
+          statuses: {}
+        };
+
+        let batches: SearchBatch[];
+        if (scope === 'managementGroups') {
+          const groups = await resolveManagementGroups(credential, requestedGroups, search.signal);
+          if (!groups.length) {
+            throw new Error('Select at least one management group to search.');
+          }
+
+          panel.webview.postMessage({
+            command: 'initSubscriptions',
+            subscriptions: groups.map(group => ({ id: group.id, name: group.displayName }))
+          });
+          metadata.managementGroups = groups.map(group => ({ id: group.id, displayName: group.displayName }));
+          // Each group is its own request so matches can be attributed to the group that was ticked
+          batches = groups.map(group => ({ statusIds: [group.id], scope: { managementGroups: [group.id] } }));
+        } else {
+          const subscriptions = await resolveSubscriptions(credential, requestedSubscriptions, search.signal);
+          if (!subscriptions.length) {
+            throw new Error('No subscriptions available for the current account.');
+          }
+
+          metadata.subscriptions = subscriptions;
+          panel.webview.postMessage({
+            command: 'initSubscriptions',
+            subscriptions: subscriptions.map(sub => ({ id: sub.id, name: sub.name, tenantName: sub.tenantName }))
+          });
+
+          batches = buildSubscriptionBatches(subscriptions).map(batch => ({
+            statusIds: batch.subscriptions,
+            scope: { subscriptions: batch.subscriptions },
+            tenantId: batch.tenantId
+          }));
         }
 
-        panel.webview.postMessage({
-          command: 'initSubscriptions',
-          subscriptions: subscriptions.map(sub => ({ id: sub.id, name: sub.name }))
+        lastResults = [];
+        lastSearch = metadata;
+        for (const id of batches.flatMap(batch => batch.statusIds)) {
+          metadata.statuses[id] = { status: 'pending' };
+        }
+        let failedBatches = 0;
+        // Nested management groups cover the same subscriptions, so rows are only kept once
+        const seenRows = new Set<string>();
+
+        await runWithConcurrency(batches, concurrency, search.signal, async batch => {
+          const ids = batch.statusIds;
+          postSubscriptionStatus(panel, ids, { status: 'running' }, metadata.statuses);
+          try {
+            const hits = await queryAzureForCidrs(
+              credential,
+              cidrs,
+              batch.scope,
+              matchMode,
+              targets,
+              {
+                tenantId: batch.tenantId,
+                onPage: (page, rowsSoFar) => postSubscriptionStatus(panel, ids, { status: 'running', page, rows: rowsSoFar }, metadata.statuses),
+                onWait: info => postSubscriptionStatus(panel, ids, { status: 'waiting', message: describeWait(info) }, metadata.statuses),
+                signal: search.signal,
+                prefixSources
+              }
+            );
+            if (!isCurrent()) return;
+            for (const hit of hits) {
+              const key = `${hit.id}|${hit.source}|${hit.prefixStr}`;
+              if (seenRows.has(key)) continue;
+              seenRows.add(key);
+              lastResults.push(hit);
+            }
+
+            if (!('subscriptions' in batch.scope)) {
+              postSubscriptionStatus(panel, ids, { status: 'done', count: hits.length }, metadata.statuses);
+              return;
+            }
+
+            // One request covers the whole batch, so counts are split back out by subscriptionId
+            const counts = new Map<string, number>();
+            for (const hit of hits) {
+              const key = String(hit.subscriptionId ?? '').toLowerCase();
+              counts.set(key, (counts.get(key) ?? 0) + 1);
+            }
+            for (const id of ids) {
+              postSubscriptionStatus(panel, [id], { status: 'done', count: counts.get(id.toLowerCase()) ?? 0 }, metadata.statuses);
+            }
+          } catch (errBatch: any) {
+            if (search.signal.aborted) {
+              if (isCurrent()) postSubscriptionStatus(panel, ids, { status: 'cancelled' }, metadata.statuses);
+              return;
+            }
+            failedBatches += 1;
+            const msg = errBatch?.message ?? String(errBatch ?? 'Unknown error');
+            metadata.errors.push(...ids.map(id => ({ id, message: msg })));
+            postSubscriptionStatus(panel, ids, { status: 'error', message: msg }, metadata.statuses);
+          }
         });
+        if (!isCurrent()) return;
 
-        lastResults = [];
+        if (freeSpaceParent && message.freeSpace) {
+          // A missing batch could hide allocations and report used space as free
+          if (search.signal.aborted || failedBatches) {
+            lastResults = [];
+            throw new Error(`Free address space was not calculated because ${failedBatches} request${failedBatches === 1 ? '' : 's'} failed.`);
+          }
+
+          const prefixLength = message.freeSpace.prefixLength;
+          const count = clamp(message.freeSpace.count ?? DEFAULT_FREE_CANDIDATES, 1, MAX_FREE_CANDIDATES);
+          const space = findFreeSpace(freeSpaceParent, collectAllocatedRanges(lastResults, freeSpaceParent), prefixLength, count);
+          const parentText = formatIpRange(freeSpaceParent);
+          const toRow = (range: IpRange, availability: string): GraphResult => ({
+            availability,
+            prefixStr: formatIpRange(range),
+            prefixLength: range.prefixLength,
+            addresses: toAddressCount(range.end - range.start + 1n),
+            addressFamily: `IPv${range.family}`,
+            parentPrefix: parentText
+          });
+          lastResults = [
+            ...space.candidates.map(range => toRow(range, `candidate /${prefixLength}`)),
+            ...space.free.map(range => toRow(range, 'free'))
+          ];
 
-        for (const subscription of subscriptions) {
           panel.webview.postMessage({
-            command: 'subscriptionStatus',
-            subscriptionId: subscription.id,
-            status: 'running'
+            command: 'displayResults',
+            cidrs: [parentText],
+            matchMode,
+            results: lastResults,
+            columns: FREE_SPACE_COLUMNS
           });
-          try {
-            const hits = await queryAzureForCidrs(token, cidrs, [subscription.id]);
-            lastResults.push(...hits);
-            panel.webview.postMessage({
-              command: 'subscriptionStatus',
-              subscriptionId: subscription.id,
-              status: 'done',
-              count: hits.length
-            });
-          } catch (errSub: any) {
-            const msg = errSub?.message ?? String(errSub ?? 'Unknown error');
-            panel.webview.postMessage({
-              command: 'subscriptionStatus',
-              subscriptionId: subscription.id,
-              status: 'error',
-              message: msg
-            });
+          panel.webview.postMessage({
+            command: 'showInfo',
+            message: space.candidates.length
+              ? `Found ${space.candidates.length} free /${prefixLength} block${space.candidates.length === 1 ? '' : 's'} in ${parentText} (${space.free.length} free range${space.free.length === 1 ? '' : 's'} in total).`
+              : `No free /${prefixLength} block left in ${parentText} (${space.free.length} smaller free range${space.free.length === 1 ? '' : 's'}).`
+          });
+          return;
+        }
+
+        const cancelled = search.signal.aborted;
+        metadata.cancelled = cancelled;
+        if (cancelled) {
+          for (const status of Object.values(metadata.statuses)) {
+            if (!['done', 'error'].includes(status.status)) status.status = 'cancelled';
           }
         }
+        if (cancelled) {
+          // Batches never started are still "Pending…" in the progress list
+          panel.webview.postMessage({ command: 'cancelPendingSubscriptions' });
+        }
+
+        let connectivityFailed = false;
+        if (!cancelled && lastResults.some(row => isConnectableType(row.type))) {
+          panel.webview.postMessage({ command: 'showInfo', message: 'Checking peerings and hub connections…' });
+          connectivityFailed = await markConnectedConflicts(credential, batches, lastResults, concurrency, search.signal);
+          if (!isCurrent()) return;
+        }
 
         const columns = collectColumns(lastResults);
         panel.webview.postMessage({
           command: 'displayResults',
           cidrs,
+          matchMode,
           results: lastResults,
           columns
         });
 
-        const summaryText = lastResults.length
-          ? `Search completed. Found ${lastResults.length} matching entr${lastResults.length === 1 ? 'y' : 'ies'}.`
-          : `Search completed. No matches found for ${cidrs.join(', ')}.`;
+        let summaryText = lastResults.length
+          ? `Search completed. Found ${lastResults.length} matching entr${lastResults.length === 1 ? 'y' : 'ies'} (${MATCH_MODE_LABELS[matchMode]}).`
+          : `Search completed. No matches found for ${cidrs.join(', ')} (${MATCH_MODE_LABELS[matchMode]}).`;
+        const conflicts = lastResults.filter(row => row.connectedConflict).length;
+        if (conflicts) {
+          summaryText += ` ${conflicts} result${conflicts === 1 ? ' overlaps' : 's overlap'} a peered or hub-connected network.`;
+        }
+        if (connectivityFailed) {
+          summaryText += ' Peerings could not be read for every scope, so connected conflicts may be missing.';
+        }
+        if (cancelled) {
+          summaryText = `Search cancelled. Showing ${lastResults.length} partial result${lastResults.length === 1 ? '' : 's'}.`;
+        }
         panel.webview.postMessage({ command: 'showInfo', message: summaryText });
       } catch (err: any) {
-        const msg = err?.message ?? String(err ?? 'Unknown error');
-        vscode.window.showErrorMessage(`Azure CIDR Analyzer error: ${msg}`);
-        panel.webview.postMessage({ command: 'showError', message: msg });
+        if (!isCurrent()) {
+          return;
+        }
+        if (search.signal.aborted) {
+          panel.webview.postMessage({ command: 'cancelPendingSubscriptions' });
+          panel.webview.postMessage({ command: 'showInfo', message: 'Search cancelled.' });
+        } else {
+          const msg = err?.message ?? String(err ?? 'Unknown error');
+          vscode.window.showErrorMessage(`Azure CIDR Analyzer error: ${msg}`);
+          panel.webview.postMessage({ command: 'showError', message: msg });
+        }
       } finally {
-        panel.webview.postMessage({ command: 'setLoading', value: false });
+        if (isCurrent()) {
+          activeSearch = undefined;
+          panel.webview.postMessage({ command: 'setLoading', value: false });
+        }
       }
       return;
     }
@@ -187,152 +532,490 @@ export function openAzureCidrAnalyzer(context: vscode.ExtensionContext): void {
         return;
       }
 
-      const columns = collectColumns(lastResults);
-      const header = columns.map(col => `"${col.replace(/"/g, '""')}"`).join(',');
-      const csvBody = lastResults
-        .map(row => columns
-          .map(col => {
-            const value = row[col];
-            if (value === undefined || value === null) return '""';
-            const str = typeof value === 'object'
-              ? JSON.stringify(value)
-              : String(value);
-            return `"${str.replace(/"/g, '""')}"`;
-          })
-          .join(','))
-        .join('\n');
-
-      void exportCsv('microsoft-azure-cidr-analyzer', 'azure-cidr-results', csvBody, header + '\n');
+      void exportCsv(context, 'microsoft-azure-cidr-analyzer', 'azure-cidr-results', collectColumns(lastResults), lastResults);
+      return;
+    }
+
+    if (message.command === 'exportJson') {
+      if (!lastResults.length) {
+        vscode.window.showWarningMessage('No results to export yet. Run a search first.');
+        panel.webview.postMessage({ command: 'showInfo', message: 'Run a search to export results.' });
+        return;
+      }
+
+      void exportJson(context, 'microsoft-azure-cidr-analyzer', 'azure-cidr-results', {
+        exportedAt: new Date().toISOString(),
+        search: lastSearch,
+        resultCount: lastResults.length
+      }, lastResults);
+      return;
+    }
+
+    if (message.command === 'exportXlsx') {
+      if (!lastResults.length) {
+        vscode.window.showWarningMessage('No results to export yet. Run a search first.');
+        panel.webview.postMessage({ command: 'showInfo', message: 'Run a search to export results.' });
+        return;
+      }
+
+      void exportXlsx(context, 'microsoft-azure-cidr-analyzer', 'azure-cidr-results', buildWorkbookSheets(lastResults, lastSearch));
+      return;
+    }
+
+    if (message.command === 'exportReport') {
+      if (!lastResults.length) {
+        vscode.window.showWarningMessage('No results to export yet. Run a search first.');
+        panel.webview.postMessage({ command: 'showInfo', message: 'Run a search to export results.' });
+        return;
+      }
+
+      const choice = await vscode.window.showQuickPick(
+        [
+          { label: 'Copy Markdown to clipboard', format: 'markdown' as ReportFormat, target: 'clipboard' as const },
+          { label: 'Copy HTML to clipboard', format: 'html' as ReportFormat, target: 'clipboard' as const },
+          { label: 'Save Markdown file', format: 'markdown' as ReportFormat, target: 'file' as const },
+          { label: 'Save HTML file', format: 'html' as ReportFormat, target: 'file' as const }
+        ],
+        { title: 'Export report', placeHolder: 'Paste into a pull request or wiki page, or save the report next to the other exports' }
+      );
+      if (!choice) return;
+
+      await exportReport(
+        context,
+        'microsoft-azure-cidr-analyzer',
+        'azure-cidr-report',
+        buildReportData(lastResults, lastSearch),
+        choice.format,
+        choice.target
+      );
       return;
     }
   });
 }
 
+// Listed groups belong to whoever was signed in, so any sign-in or auth setting change drops them
+export function clearManagementGroupCache(): void {
+  cachedManagementGroups = undefined;
+  cachedGroupsCredentialId = undefined;
+}
+
 // =========================================================================
 // INTERNAL helpers
 // =========================================================================
-async function queryAzureForCidrs(token: string, cidrs: string[], subscriptions: string[]): Promise<GraphResult[]> {
-  if (!subscriptions.length) {
-    return [];
+async function queryAzureForCidrs(
+  credential: AzureCredential,
+  cidrs: string[],
+  scope: GraphScope,
+  matchMode: MatchMode = 'exact',
+  targets: SearchTarget[] = [],
+  options: QueryOptions = {}
+): Promise<GraphResult[]> {
+  // Range-based modes need every prefix back so the relationship can be computed locally
+  const query = buildResourceGraphQuery(matchMode === 'exact' ? cidrs : [], options.prefixSources ?? DEFAULT_PREFIX_SOURCES);
+  return queryResourceGraph(credential, query, scope, {
+    ...options,
+    filter: rows => filterByMatchMode(rows, cidrs, targets, matchMode).map(applyCapacityStats)
+  });
+}
+
+// Adds a connectedConflict column naming the peered or hub-connected networks each VNet, subnet or hub prefix overlaps.
+// Returns true when some scopes could not be read.
+async function markConnectedConflicts(
+  credential: AzureCredential,
+  batches: SearchBatch[],
+  rows: GraphResult[],
+  concurrency: number,
+  signal: AbortSignal
+): Promise<boolean> {
+  const graphRows: GraphResult[] = [];
+  let failed = false;
+  await runWithConcurrency(batches, concurrency, signal, async batch => {
+    try {
+      graphRows.push(...await queryResourceGraph(credential, CONNECTIVITY_QUERY, batch.scope, {
+        tenantId: batch.tenantId,
+        signal
+      }));
+    } catch {
+      failed = true;
+    }
+  });
+  if (signal.aborted) return failed;
+
+  const graph = buildConnectivityGraph(graphRows);
+  for (const row of rows) {
+    if (!isConnectableType(row.type)) continue;
+    const range = parseIpRange(String(row.prefixStr ?? ''));
+    const conflicts = range ? findConnectedConflicts(graph, String(row.id ?? ''), range) : [];
+    if (conflicts.length) {
+      row.connectedConflict = conflicts.join(', ');
+    }
+  }
+  return failed;
+}
+
+// A summary sheet, then one sheet per subscription holding its rows
+function buildWorkbookSheets(rows: GraphResult[], search: SearchMetadata | undefined): XlsxSheet[] {
+  const subscriptions = new Map((search?.subscriptions ?? []).map(sub => [sub.id.toLowerCase(), sub] as const));
+  const errors = new Map((search?.errors ?? []).map(error => [error.id.toLowerCase(), error.message] as const));
+
+  const groups = new Map<string, GraphResult[]>();
+  for (const row of rows) {
+    const key = String(row.subscriptionId ?? '').toLowerCase();
+    let group = groups.get(key);
+    if (!group) {
+      group = [];
+      groups.set(key, group);
+    }
+    group.push(row);
+  }
+  // Subscriptions without matches or with errors still get a summary line
+  for (const key of [...subscriptions.keys(), ...errors.keys()]) {
+    if (!groups.has(key)) groups.set(key, []);
   }
 
-  const endpoint = 'https://management.azure.com/providers/Microsoft.ResourceGraph/resources?api-version=2022-10-01';
-  const query = buildResourceGraphQuery(cidrs);
+  const summaryRows: XlsxCell[][] = [];
+  const sheets: XlsxSheet[] = [];
+  for (const [key, groupRows] of groups) {
+    const sub = subscriptions.get(key);
+    const label = sub?.name || sub?.id || String(groupRows[0]?.subscriptionId ?? '') || key || 'Results';
+    summaryRows.push([label, sub?.id ?? key, sub?.tenantName ?? sub?.tenantId ?? '', groupRows.length, errors.get(key) ?? '']);
+    if (!groupRows.length) continue;
 
-  console.log('[AzureCIDR] Query subscriptions:', subscriptions.join(', '));
-  console.log('[AzureCIDR] Query string:', query);
+    const columns = collectColumns(groupRows);
+    sheets.push({
+      name: label,
+      columns,
+      rows: groupRows.map(row => columns.map(col => toCell(row[col])))
+    });
+  }
 
-  const response = await fetch(endpoint, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${token}`,
-      'Content-Type': 'application/json'
+  return [
+    {
+      name: 'Summary',
+      columns: ['subscription', 'subscriptionId', 'tenant', 'results', 'error'],
+      rows: summaryRows
     },
-    body: JSON.stringify({
-      subscriptions,
-      query,
-      options: { resultFormat: 'objectArray' }
-    })
-  });
+    ...sheets
+  ];
+}
 
-  if (!response.ok) {
-    let errorText = `${response.status}`;
-    try {
-      const errorBody = await response.json();
-      errorText = errorBody?.error?.message || JSON.stringify(errorBody);
-    } catch {
-      errorText = await response.text();
+function buildReportData(rows: GraphResult[], search: SearchMetadata | undefined): ReportData {
+  const criteria: [string, string][] = [];
+  const names = new Map<string, string>();
+  if (search) {
+    const sourceLabels = search.prefixSources.map(id => PREFIX_SOURCES.find(source => source.id === id)?.label ?? id);
+    criteria.push(
+      ['CIDRs', search.cidrs.join(', ')],
+      ['Match mode', MATCH_MODE_LABELS[search.matchMode]],
+      ['Scope', search.scope === 'managementGroups' ? 'Management groups' : 'Subscriptions'],
+      ['Resource types', sourceLabels.join(', ')],
+      ['Started', search.startedAt]
+    );
+    if (search.freeSpace) {
+      criteria.push(['Free space', `/${search.freeSpace.prefixLength} blocks in ${search.freeSpace.parentPrefix}`]);
+    }
+    if (search.cancelled) {
+      criteria.push(['Cancelled', 'Yes, results are partial']);
     }
-    console.error('[AzureCIDR] Request failed:', errorText);
-    throw new Error(`Azure Resource Graph request failed: ${errorText}`);
+    search.subscriptions.forEach(sub => names.set(sub.id, sub.name || sub.id));
+    search.managementGroups.forEach(group => names.set(group.id, group.displayName || group.id));
   }
 
-  const data = await response.json();
-  const rows: any[] = Array.isArray(data?.data) ? data.data : [];
-  return rows as GraphResult[];
+  const statusRows = Object.entries(search?.statuses ?? {}).map(([id, status]) => [
+    names.get(id) ?? id,
+    id,
+    status.status,
+    status.count === undefined ? '' : String(status.count),
+    status.message ?? ''
+  ]);
+
+  const columns = collectColumns(rows);
+  return {
+    title: 'Azure CIDR Analyzer report',
+    generatedAt: new Date(),
+    criteria,
+    status: {
+      columns: [search?.scope === 'managementGroups' ? 'Management group' : 'Subscription', 'ID', 'Status', 'Matches', 'Message'],
+      rows: statusRows
+    },
+    results: {
+      columns,
+      rows: rows.map(row => columns.map(col => String(toCell(row[col]))))
+    }
+  };
+}
+
+function toCell(value: unknown): XlsxCell {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number' || typeof value === 'boolean') return value;
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
 }
 
-let cachedSubscriptions: SubscriptionInfo[] | undefined;
-let cachedToken: string | undefined;
+function describeWait(info: RetryWaitInfo): string {
+  const seconds = Math.max(1, Math.ceil(info.delayMs / 1000));
+  switch (info.reason) {
+    case 'quota':
+      return `Waiting for Resource Graph quota (${seconds}s)…`;
+    case 'throttled':
+      return `Throttled by Azure, retry ${info.attempt} in ${seconds}s…`;
+    default:
+      return `Azure returned ${info.status ?? 'a network error'}, retry ${info.attempt} in ${seconds}s…`;
+  }
+}
 
-async function listSubscriptions(token: string): Promise<SubscriptionInfo[]> {
-  if (cachedSubscriptions?.length && cachedToken === token) {
-    return cachedSubscriptions;
+function postSubscriptionStatus(
+  panel: vscode.WebviewPanel,
+  subscriptionIds: string[],
+  detail: { status: string; count?: number; message?: string; page?: number; rows?: number },
+  statuses: Record<string, ScopeStatus>
+): void {
+  for (const subscriptionId of subscriptionIds) {
+    statuses[subscriptionId] = { status: detail.status, count: detail.count, message: detail.message };
+    panel.webview.postMessage({ command: 'subscriptionStatus', subscriptionId, ...detail });
   }
+}
 
-  const response = await fetch('https://management.azure.com/subscriptions?api-version=2020-01-01', {
-    headers: {
-      Authorization: `Bearer ${token}`,
-      'Content-Type': 'application/json'
+function buildSearchTargets(cidrs: string[], matchMode: MatchMode): SearchTarget[] {
+  const targets: SearchTarget[] = [];
+  const invalid: string[] = [];
+  for (const cidr of cidrs) {
+    // Exact IPv4 and wildcard searches are matched as strings by Resource Graph
+    if (matchMode === 'exact' && !cidr.includes(':')) continue;
+    const range = cidr.includes('*') ? undefined : parseIpRange(cidr);
+    if (range) {
+      targets.push({ cidr: formatIpRange(range), range });
+    } else {
+      invalid.push(cidr);
     }
-  });
+  }
 
-  if (!response.ok) {
-    let detail = `${response.status}`;
-    try {
-      const errBody = await response.json();
-      detail = errBody?.error?.message || JSON.stringify(errBody);
-    } catch {
-      detail = await response.text();
+  if (invalid.length) {
+    throw new Error(matchMode === 'exact'
+      ? `Invalid IPv6 prefix (wildcards are not supported for IPv6): ${invalid.join(', ')}`
+      : `Wildcards and free text are only supported with exact matching. Invalid prefix: ${invalid.join(', ')}`);
+  }
+  return targets;
+}
+
+function filterByMatchMode(
+  rows: GraphResult[],
+  cidrs: string[],
+  targets: SearchTarget[],
+  matchMode: MatchMode
+): GraphResult[] {
+  const wildcards = cidrs
+    .filter(cidr => cidr.includes('*'))
+    .map(cidr => new RegExp(wildcardToRegex(cidr.toLowerCase())));
+
+  const matches: GraphResult[] = [];
+  for (const row of rows) {
+    const raw = String(row.prefixStr ?? '');
+    const range = parseIpRange(raw);
+    const annotated: GraphResult = range
+      ? {
+          ...row,
+          // IPv6 has many spellings for one prefix, so results are shown canonically
+          prefixStr: range.family === 6 ? formatIpRange(range) : row.prefixStr,
+          addressFamily: `IPv${range.family}`
+        }
+      : row;
+
+    if (!targets.length) {
+      matches.push(annotated);
+      continue;
+    }
+
+    if (matchMode === 'exact') {
+      // IPv4 rows were already filtered by the query; IPv6 rows come back unfiltered
+      if (range?.family !== 6
+        || wildcards.some(regex => regex.test(raw.toLowerCase()))
+        || targets.some(target => rangeMatches(target.range, range, 'exact'))) {
+        matches.push(annotated);
+      }
+      continue;
+    }
+
+    if (!range) continue;
+    const hit = targets.find(target => rangeMatches(target.range, range, matchMode));
+    if (hit) {
+      matches.push({ ...annotated, matchedCidr: hit.cidr });
     }
-    throw new Error(`Unable to list subscriptions: ${detail}`);
   }
+  return matches;
+}
+
+// Free space is searched inside exactly one prefix or range typed in the search field
+function getFreeSpaceParent(entries: SearchEntry[]): IpRange | undefined {
+  if (entries.length !== 1 || entries[0].wildcard) return;
+
+  const ranges = entries[0].prefixes
+    .map(prefix => parseIpRange(prefix))
+    .filter((range): range is IpRange => !!range);
+  if (!ranges.length) return;
+  if (ranges.length === 1) return ranges[0];
+
+  // A typed address range arrives split into prefixes; stitch it back together
+  return {
+    family: ranges[0].family,
+    start: ranges.reduce((min, range) => (range.start < min ? range.start : min), ranges[0].start),
+    end: ranges.reduce((max, range) => (range.end > max ? range.end : max), ranges[0].end)
+  };
+}
+
+function collectAllocatedRanges(rows: GraphResult[], parent: IpRange): IpRange[] {
+  const ranges: IpRange[] = [];
+  for (const row of rows) {
+    const source = getPrefixSourceForType(row.type);
+    // Routes, rules and the IP Groups that feed firewall rules only point at address space; they do not consume it
+    if (source?.reference || source?.id === 'ipGroups') continue;
+
+    const range = parseIpRange(String(row.prefixStr ?? ''));
+    if (!range) continue;
+
+    // A VNet spanning the whole parent is the space being carved up; its subnets are the allocations
+    if (source?.container && range.start <= parent.start && range.end >= parent.end) continue;
+    ranges.push(range);
+  }
+  return ranges;
+}
+
+function wildcardToRegex(value: string): string {
+  const placeholder = '__WILDCARD__';
+  const withPlaceholder = value.replace(/\*/g, placeholder);
+  const escaped = withPlaceholder.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  const regexBody = escaped.replace(new RegExp(placeholder, 'g'), '.*');
+  return `^${regexBody}$`;
+}
+
+let cachedManagementGroups: ManagementGroupInfo[] | undefined;
+let cachedGroupsCredentialId: string | undefined;
 
-  const payload = await response.json();
-  const subs: SubscriptionInfo[] = Array.isArray(payload?.value)
-    ? payload.value
-        .map((entry: any) => ({
-          id: typeof entry?.subscriptionId === 'string' ? entry.subscriptionId : '',
-          name: typeof entry?.displayName === 'string' ? entry.displayName : undefined
-        }))
-        .filter((entry: SubscriptionInfo) => entry.id.length > 0)
-    : [];
-
-  if (!subs.length) {
-    throw new Error('No subscriptions returned for the current token. Verify the token scope and permissions.');
+async function listManagementGroups(credential: AzureCredential, signal?: AbortSignal): Promise<ManagementGroupInfo[]> {
+  if (cachedManagementGroups && cachedGroupsCredentialId === credential.id) {
+    return cachedManagementGroups;
   }
 
-  cachedToken = token;
-  cachedSubscriptions = subs;
-  return subs;
+  // getEntities returns every group with its parent in one (paged) call, unlike the plain list API
+  const entities: any[] = [];
+  let url: string | undefined = `${credential.cloud.resourceManager}/providers/Microsoft.Management/getEntities?api-version=2021-04-01`;
+  while (url) {
+    const token = await credential.getToken();
+    const response = await fetchWithRetry(url, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Unable to list management groups: ${await readErrorDetail(response)}`);
+    }
+
+    const payload = await response.json();
+    if (Array.isArray(payload?.value)) {
+      entities.push(...payload.value);
+    }
+    url = typeof payload?.nextLink === 'string' && payload.nextLink ? payload.nextLink : undefined;
+  }
+
+  const lastSegment = (resourceId: unknown): string | undefined =>
+    typeof resourceId === 'string' && resourceId ? resourceId.split('/').filter(Boolean).pop() : undefined;
+
+  const groups = entities
+    .filter(entity => String(entity?.type ?? '').toLowerCase() === 'microsoft.management/managementgroups')
+    .map(entity => ({
+      id: String(entity.name),
+      displayName: String(entity.properties?.displayName || entity.name),
+      parentId: lastSegment(entity.properties?.parent?.id)
+    }));
+
+  cachedGroupsCredentialId = credential.id;
+  cachedManagementGroups = flattenManagementGroupTree(groups);
+  return cachedManagementGroups;
 }
 
-async function resolveSubscriptions(token: string, requested: string[]): Promise<SubscriptionInfo[]> {
-  const all = await listSubscriptions(token);
+// Orders groups depth-first under their parents so the webview can render an indented tree
+function flattenManagementGroupTree(groups: Omit<ManagementGroupInfo, 'depth'>[]): ManagementGroupInfo[] {
+  const known = new Set(groups.map(group => group.id));
+  const children = new Map<string, Omit<ManagementGroupInfo, 'depth'>[]>();
+  for (const group of groups) {
+    const parent = group.parentId && known.has(group.parentId) ? group.parentId : '';
+    children.set(parent, [...(children.get(parent) ?? []), group]);
+  }
+
+  const ordered: ManagementGroupInfo[] = [];
+  const visit = (parent: string, depth: number): void => {
+    const siblings = (children.get(parent) ?? []).sort((a, b) => a.displayName.localeCompare(b.displayName));
+    for (const group of siblings) {
+      ordered.push({ ...group, depth });
+      visit(group.id, depth + 1);
+    }
+  };
+  visit('', 0);
+  return ordered;
+}
+
+async function resolveManagementGroups(
+  credential: AzureCredential,
+  requested: string[],
+  signal?: AbortSignal
+): Promise<ManagementGroupInfo[]> {
   if (!requested.length) {
-    return all;
+    return [];
   }
 
-  const byId = new Map(all.map(sub => [sub.id.toLowerCase(), sub] as const));
-  const unique: SubscriptionInfo[] = [];
-  const seen = new Set<string>();
-  for (const raw of requested) {
-    const key = raw.toLowerCase();
-    if (seen.has(key)) continue;
-    seen.add(key);
-    const match = byId.get(key);
-    if (match) {
-      unique.push(match);
-    } else {
-      unique.push({ id: raw });
+  const all = await listManagementGroups(credential, signal);
+  const byId = new Map(all.map(group => [group.id.toLowerCase(), group] as const));
+  const unique = Array.from(new Set(requested.map(id => id.toLowerCase())));
+  return unique.map(key => {
+    const typed = requested.find(id => id.toLowerCase() === key)!;
+    return byId.get(key) ?? { id: typed, displayName: typed, depth: 0 };
+  });
+}
+
+async function sendAvailableManagementGroups(
+  context: vscode.ExtensionContext,
+  panel: vscode.WebviewPanel
+): Promise<void> {
+  try {
+    const credential = await resolveCredential(context, false);
+    if (!credential) {
+      panel.webview.postMessage({
+        command: 'managementGroupOptions',
+        groups: [],
+        error: 'Sign in to Azure to load management groups.'
+      });
+      return;
     }
+
+    const groups = await listManagementGroups(credential);
+    panel.webview.postMessage({ command: 'managementGroupOptions', groups });
+  } catch (err: any) {
+    const msg = err?.message ?? String(err ?? 'Unknown error');
+    vscode.window.showErrorMessage(`Failed to load Azure management groups: ${msg}`);
+    panel.webview.postMessage({ command: 'managementGroupOptions', groups: [], error: msg });
   }
-  return unique;
 }
 
-async function sendAvailableSubscriptions(panel: vscode.WebviewPanel): Promise<void> {
+async function sendAvailableSubscriptions(
+  context: vscode.ExtensionContext,
+  panel: vscode.WebviewPanel
+): Promise<void> {
   try {
-    const config = vscode.workspace.getConfiguration(CONFIG_NAMESPACE);
-    const token = (config.get<string>('azureGraphToken') || '').trim();
-    if (!token) {
+    // Loading the picker must not pop a sign-in dialog; the first search will prompt instead
+    const credential = await resolveCredential(context, false);
+    if (!credential) {
       panel.webview.postMessage({
-        command: 'showError',
-        message: 'Configure an Azure Resource Graph token in the Azure CIDR Analyzer settings to load subscriptions.'
+        command: 'showInfo',
+        message: 'Sign in to Azure (or store a manual token with "Azure CIDR Analyzer: Set Azure Token") to load subscriptions. Searching will prompt you to sign in.'
       });
       return;
     }
+    notifyTokenExpiry(panel, credential);
 
-    const subs = await listSubscriptions(token);
+    const subs = await listSubscriptions(credential, { silent: true });
     panel.webview.postMessage({ command: 'subscriptionOptions', subscriptions: subs });
   } catch (err: any) {
     const msg = err?.message ?? String(err ?? 'Unknown error');
@@ -341,49 +1024,66 @@ async function sendAvailableSubscriptions(panel: vscode.WebviewPanel): Promise<v
   }
 }
 
-function buildResourceGraphQuery(cidrs: string[]): string {
+function notifyTokenExpiry(panel: vscode.WebviewPanel, credential: AzureCredential): void {
+  const expiresOn = credential.expiresOn;
+  const remaining = expiresOn ? expiresOn.getTime() - Date.now() : Infinity;
+
+  if (expiresOn && remaining <= 0) {
+    panel.webview.postMessage({ command: 'tokenWarning', message: '' });
+    throw new Error(`The stored Azure token expired at ${expiresOn.toLocaleString()}. Run "Azure CIDR Analyzer: Set Azure Token" to store a new one.`);
+  }
+
+  if (expiresOn && remaining <= TOKEN_EXPIRY_WARNING_MS) {
+    const minutes = Math.max(1, Math.round(remaining / 60000));
+    panel.webview.postMessage({
+      command: 'tokenWarning',
+      message: `The stored Azure token expires in ${minutes} minute${minutes === 1 ? '' : 's'} (${expiresOn.toLocaleTimeString()}). Run "Azure CIDR Analyzer: Set Azure Token" to replace it.`
+    });
+    return;
+  }
+
+  panel.webview.postMessage({ command: 'tokenWarning', message: '' });
+}
+
+function buildResourceGraphQuery(cidrs: string[], prefixSources: PrefixSourceId[]): string {
   const lower = Array.from(new Set(cidrs.map(c => c.toLowerCase()).filter(Boolean)));
 
-  const exactMatches = lower.filter(c => !c.includes('*'));
+  const exactMatches = lower.filter(c => !c.includes('*') && !c.includes(':'));
+  const ipv6Matches = lower.filter(c => !c.includes('*') && c.includes(':'));
   const wildcardMatches = lower.filter(c => c.includes('*'));
 
   const clauses: string[] = [];
   if (exactMatches.length) {
+    // IP Groups and rules store single hosts without a prefix length, so /32 searches match both spellings
     const list = exactMatches
+      .flatMap(c => (c.endsWith('/32') ? [c, c.slice(0, -3)] : [c]))
       .map(c => `'${c.replace(/'/g, "\\'")}'`)
       .join(', ');
     clauses.push(`prefixStr in~ (${list})`);
   }
+  if (ipv6Matches.length) {
+    // IPv6 notation varies (leading zeros, :: placement), so equality is checked after canonicalising
+    clauses.push(`prefixStr contains ':'`);
+  }
   if (wildcardMatches.length) {
-    const toRegex = (value: string): string => {
-      const placeholder = '__WILDCARD__';
-      const withPlaceholder = value.replace(/\*/g, placeholder);
-      const escaped = withPlaceholder.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
-      const regexBody = escaped.replace(new RegExp(placeholder, 'g'), '.*');
-      const anchored = `^${regexBody}$`;
-      return `'${anchored.replace(/'/g, "\\'")}'`;
-    };
     const conditions = wildcardMatches
-      .map(value => `prefixStr matches regex ${toRegex(value)}`)
+      .map(value => `prefixStr matches regex '${wildcardToRegex(value).replace(/'/g, "\\'")}'`)
       .join(' or ');
     clauses.push(conditions);
   }
 
   const filterClause = clauses.length ? `\n| where ${clauses.join(' or ')}` : '';
 
-  return `Resources
-| where type in~ ('microsoft.network/virtualnetworks', 'microsoft.network/virtualnetworks/subnets', 'microsoft.network/publicipprefixes', 'microsoft.network/ipgroups')
-| extend prefixes = case(
-    type =~ 'microsoft.network/virtualnetworks', properties.addressSpace.addressPrefixes,
-    type =~ 'microsoft.network/virtualnetworks/subnets', coalesce(properties.addressPrefixes, pack_array(properties.addressPrefix)),
-    type =~ 'microsoft.network/publicipprefixes', pack_array(properties.ipPrefix),
-    type =~ 'microsoft.network/ipgroups', properties.ipAddresses,
-    dynamic([])
-  )
-| mv-expand prefix = prefixes
-| where isnotempty(prefix)
-| extend prefixStr = tolower(tostring(prefix))${filterClause}
-| project name, type, location, resourceGroup, subscriptionId, prefixStr, id`;
+  return `${buildPrefixExtractionQuery(prefixSources)}${filterClause}
+${CAPACITY_EXTEND}
+| project name, type, location, resourceGroup, subscriptionId, tenantId, prefixStr, source, id, ${CAPACITY_FIELDS.join(', ')}`;
+}
+
+function getConfiguredPrefixSources(): PrefixSourceId[] {
+  const configured = vscode.workspace.getConfiguration(CONFIG_NAMESPACE)
+    .get<string[]>('prefixSources', DEFAULT_PREFIX_SOURCES);
+  const valid = Array.isArray(configured) ? configured.filter(isPrefixSourceId) : [];
+  return valid.length ? valid : DEFAULT_PREFIX_SOURCES;
 }
 
 function collectColumns(rows: GraphResult[]): string[] {
@@ -403,10 +1103,14 @@ interface WebviewContentOptions {
   commonStyleSrc: string;
   styleSrc: string;
   scriptSrc: string;
+  prefixSources: PrefixSourceId[];
 }
 
 function showWebviewContent(opts: WebviewContentOptions): string {
-  const { nonce, cspSource, elementsSrc, commonStyleSrc, styleSrc, scriptSrc } = opts;
+  const { nonce, cspSource, elementsSrc, commonStyleSrc, styleSrc, scriptSrc, prefixSources } = opts;
+  const resourceTypeOptions = PREFIX_SOURCES
+    .map(source => `            <label class="subscription-option"><input type="checkbox" data-id="${source.id}"${prefixSources.includes(source.id) ? ' checked' : ''} /><span>${source.label}</span></label>`)
+    .join('\n');
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -426,21 +1130,69 @@ function showWebviewContent(opts: WebviewContentOptions): string {
         <div class="input-block">
           <vscode-label for="cidrInput">CIDR to search</vscode-label>
           <vscode-form-helper>
-            <p>Search a single CIDR, multiple comma separated CIDRs, leave blank to list all prefixes, or use wildcards such as <code>10.10.*</code>.</p>
+            <p>Search a single CIDR, multiple comma separated CIDRs, leave blank to list all prefixes, or use wildcards such as <code>10.10.*</code>. IPv6 prefixes such as <code>2001:db8::/48</code> are matched regardless of notation. Single addresses and ranges such as <code>10.0.0.1-10.0.0.50</code> are converted to prefixes.</p>
           </vscode-form-helper>
           <vscode-textfield id="cidrInput" placeholder="10.0.0.0/24, 10.0.1.0/24"></vscode-textfield>
+          <ul id="cidrValidation" class="cidr-validation"></ul>
+        </div>
+        <div class="input-block">
+          <vscode-label for="matchMode">Match mode</vscode-label>
+          <vscode-single-select id="matchMode">
+            <vscode-option value="exact" selected>Exact (supports wildcards)</vscode-option>
+            <vscode-option value="contains">Contains: prefixes inside the searched CIDR</vscode-option>
+            <vscode-option value="containedBy">Contained by: prefixes that include the searched CIDR</vscode-option>
+            <vscode-option value="overlaps">Overlaps: any prefix sharing addresses with the searched CIDR</vscode-option>
+          </vscode-single-select>
+        </div>
+        <div class="input-block">
+          <vscode-label for="searchMode">Search mode</vscode-label>
+          <vscode-single-select id="searchMode">
+            <vscode-option value="lookup" selected>Find prefixes in use</vscode-option>
+            <vscode-option value="freeSpace">Find free address space inside the searched prefix</vscode-option>
+          </vscode-single-select>
+          <div id="freeSpaceOptions" class="free-space-options" hidden>
+            <div>
+              <vscode-label for="freeBlockSize">Block size</vscode-label>
+              <vscode-textfield id="freeBlockSize" value="/24" placeholder="/24"></vscode-textfield>
+            </div>
+            <div>
+              <vscode-label for="freeCandidateCount">Candidates</vscode-label>
+              <vscode-textfield id="freeCandidateCount" type="number" min="1" max="${MAX_FREE_CANDIDATES}" value="${DEFAULT_FREE_CANDIDATES}"></vscode-textfield>
+            </div>
+          </div>
+        </div>
+        <div class="input-block">
+          <vscode-label>Scope</vscode-label>
+          <vscode-radio-group id="scopeSelector">
+            <vscode-radio name="scope" value="subscriptions" checked>Subscriptions</vscode-radio>
+            <vscode-radio name="scope" value="managementGroups">Management groups</vscode-radio>
+          </vscode-radio-group>
+          <div id="subscriptionScope">
+            <vscode-single-select id="tenantFilter" class="tenant-filter" hidden></vscode-single-select>
+            <div id="subscriptionOptions" class="subscription-options"></div>
+          </div>
+          <div id="managementGroupScope" hidden>
+            <div id="managementGroupOptions" class="subscription-options"></div>
+          </div>
         </div>
         <div class="input-block">
-          <vscode-label>Subscriptions</vscode-label>
-          <div id="subscriptionOptions" class="subscription-options"></div>
+          <vscode-label>Resource types</vscode-label>
+          <div id="resourceTypeOptions" class="resource-type-options">
+${resourceTypeOptions}
+          </div>
         </div>
         <div class="actions-row">
           <vscode-button id="searchBtn">Search</vscode-button>
+          <vscode-button id="cancelBtn" secondary disabled>Cancel</vscode-button>
           <vscode-button id="exportBtn">Export CSV</vscode-button>
+          <vscode-button id="exportJsonBtn">Export JSON</vscode-button>
+          <vscode-button id="exportXlsxBtn">Export XLSX</vscode-button>
+          <vscode-button id="exportReportBtn">Export report</vscode-button>
         </div>
         <vscode-form-helper>
-          <p>Configure the Azure Graph token under the Azure CIDR Analyzer extension settings. Choose one or more subscriptions or keep <strong>All subscriptions</strong> selected to query every subscription available to this token.</p>
+          <p>Searches sign in with your Microsoft account through VS Code; a manual Azure Graph token can be enabled in the Azure CIDR Analyzer extension settings and stored with the <strong>Set Azure Token</strong> command instead. Choose one or more subscriptions or keep <strong>All subscriptions</strong> selected to query every subscription available to this account.</p>
         </vscode-form-helper>
+        <div id="tokenWarning" class="token-warning" role="alert"></div>
         <div id="status" role="status"></div>
       </vscode-form-container>
     </div>
@@ -0,0 +1,281 @@
+/*****************************************************************************
+ *   Extension:   Microsoft Azure CIDRs Analyzer                             *
+ *   Author:      elelabdev                                                  *
+ *   Description: Query right from Visual Studio Code all Microsoft Azure    *
+ *                subscriptions and search for specific CIDRs in use.        *
+ *   Github:      https://github.com/elelabdev/microsoft-azure-cidr-analyzer *
+ *                                                                           *
+ *   Icon Author: elelab                                                     *
+ *                                                                           *
+ *   Copyright (C) 2025 elelab                                               *
+ *   https://www.elelab.dev                                                  *
+ *                                                                           *
+ *   Licensed under the MIT License. See LICENSE file in the project         *
+ *   root for details.                                                       *
+ ****************************************************************************/
+
+// src/modules/overlapReport.ts
+
+// =========================================================================
+// IMPORT libraries or modules
+// =========================================================================
+import * as vscode from 'vscode';
+import { getNonce } from '../helpers/nonce';
+import { resolveCredential } from '../helpers/auth';
+import { formatIpRange, parseIpRange } from '../helpers/cidr';
+import { OVERLAP_SEVERITIES, OverlapEntry, OverlapSeverity, findOverlaps } from '../helpers/overlaps';
+import { PrefixSourceId, buildPrefixExtractionQuery } from '../helpers/prefixSources';
+import {
+  GraphResult,
+  buildSubscriptionBatches,
+  getBatchSettings,
+  queryResourceGraph,
+  runWithConcurrency
+} from '../helpers/resourceGraph';
+import { listSubscriptions } from '../helpers/subscriptions';
+
+// Routed address spaces; subnets are covered by their VNet, and rules only reference space
+const REPORT_SOURCES: PrefixSourceId[] = ['virtualNetworks', 'virtualHubs'];
+
+// =========================================================================
+// TYPES
+// =========================================================================
+interface ReportResource {
+  name: string;
+  type: string;
+  resourceGroup: string;
+  subscription: string;
+}
+
+interface ReportConflict {
+  first: ReportResource;
+  second: ReportResource;
+  // Overlapping prefixes on each side, comma separated
+  firstPrefixes: string;
+  secondPrefixes: string;
+}
+
+interface RunReportMessage {
+  command: 'runReport';
+}
+
+interface CancelReportMessage {
+  command: 'cancelReport';
+}
+
+type IncomingMessage = RunReportMessage | CancelReportMessage;
+
+// =========================================================================
+// EXPORT functions
+// =========================================================================
+export function openOverlapReport(context: vscode.ExtensionContext): void {
+  const panel = vscode.window.createWebviewPanel(
+    'azureCidrOverlapReport',
+    'Azure CIDR Overlap Report',
+    vscode.ViewColumn.Beside,
+    {
+      enableScripts: true,
+      retainContextWhenHidden: true,
+      localResourceRoots: [
+        vscode.Uri.joinPath(context.extensionUri, 'media', 'libs'),
+        vscode.Uri.joinPath(context.extensionUri, 'media', 'common'),
+        vscode.Uri.joinPath(context.extensionUri, 'media', 'module-overlapreport')
+      ]
+    }
+  );
+
+  const nonce = getNonce();
+  const cspSource = panel.webview.cspSource;
+  const elementsUri = panel.webview.asWebviewUri(
+    vscode.Uri.joinPath(context.extensionUri, 'media', 'libs', 'vscode-elements', 'bundled.js')
+  );
+  const commonStyleUri = panel.webview.asWebviewUri(
+    vscode.Uri.joinPath(context.extensionUri, 'media', 'common', 'css', 'style.css')
+  );
+  const styleUri = panel.webview.asWebviewUri(
+    vscode.Uri.joinPath(context.extensionUri, 'media', 'module-overlapreport', 'style.css')
+  );
+  const scriptUri = panel.webview.asWebviewUri(
+    vscode.Uri.joinPath(context.extensionUri, 'media', 'module-overlapreport', 'main.js')
+  );
+
+  panel.webview.html = showWebviewContent({
+    nonce,
+    cspSource,
+    elementsSrc: elementsUri.toString(),
+    commonStyleSrc: commonStyleUri.toString(),
+    styleSrc: styleUri.toString(),
+    scriptSrc: scriptUri.toString()
+  });
+
+  let activeRun: AbortController | undefined;
+
+  panel.onDidDispose(() => activeRun?.abort());
+
+  panel.webview.onDidReceiveMessage(async (message: IncomingMessage) => {
+    if (message.command === 'cancelReport') {
+      activeRun?.abort();
+      return;
+    }
+
+    if (message.command !== 'runReport') {
+      return;
+    }
+
+    activeRun?.abort();
+    const run = new AbortController();
+    activeRun = run;
+
+    panel.webview.postMessage({ command: 'setLoading', value: true });
+    try {
+      const credential = await resolveCredential(context, true);
+      if (!credential) {
+        throw new Error('Sign in to Azure before running the report.');
+      }
+
+      const subscriptions = await listSubscriptions(credential, { signal: run.signal });
+      const subscriptionNames = new Map(subscriptions.map(sub => [sub.id.toLowerCase(), sub.name || sub.id] as const));
+      const batches = buildSubscriptionBatches(subscriptions);
+      const query = `${buildPrefixExtractionQuery(REPORT_SOURCES)}
+| project name, type, resourceGroup, subscriptionId, prefixStr, id`;
+
+      const rows: GraphResult[] = [];
+      const failures: string[] = [];
+      let finished = 0;
+      panel.webview.postMessage({ command: 'reportProgress', done: 0, total: batches.length });
+
+      await runWithConcurrency(batches, getBatchSettings().concurrency, run.signal, async batch => {
+        try {
+          rows.push(...await queryResourceGraph(credential, query, { subscriptions: batch.subscriptions }, {
+            tenantId: batch.tenantId,
+            signal: run.signal
+          }));
+        } catch (errBatch: any) {
+          if (run.signal.aborted) return;
+          failures.push(errBatch?.message ?? String(errBatch ?? 'Unknown error'));
+        }
+        finished += 1;
+        panel.webview.postMessage({ command: 'reportProgress', done: finished, total: batches.length });
+      });
+
+      if (run.signal.aborted) {
+        panel.webview.postMessage({ command: 'showInfo', message: 'Report cancelled.' });
+        return;
+      }
+
+      const entries: OverlapEntry<ReportResource>[] = [];
+      const resources = new Map<string, ReportResource>();
+      for (const row of rows) {
+        const range = parseIpRange(String(row.prefixStr ?? ''));
+        if (!range) continue;
+
+        const resourceId = String(row.id ?? '');
+        const key = resourceId.toLowerCase();
+        const item = resources.get(key) ?? {
+          name: String(row.name ?? ''),
+          type: String(row.type ?? ''),
+          resourceGroup: String(row.resourceGroup ?? ''),
+          subscription: subscriptionNames.get(String(row.subscriptionId ?? '').toLowerCase()) ?? String(row.subscriptionId ?? '')
+        };
+        resources.set(key, item);
+        entries.push({ range, resourceId, item });
+      }
+
+      const groups: Record<OverlapSeverity, ReportConflict[]> = { identical: [], partial: [], containment: [] };
+      for (const overlap of findOverlaps(entries)) {
+        groups[overlap.severity].push({
+          first: overlap.a,
+          second: overlap.b,
+          firstPrefixes: overlap.aRanges.map(formatIpRange).join(', '),
+          secondPrefixes: overlap.bRanges.map(formatIpRange).join(', ')
+        });
+      }
+      const total = OVERLAP_SEVERITIES.reduce((sum, severity) => sum + groups[severity].length, 0);
+
+      panel.webview.postMessage({
+        command: 'displayReport',
+        groups,
+        severities: OVERLAP_SEVERITIES,
+        resourceCount: resources.size,
+        subscriptionCount: subscriptions.length
+      });
+
+      if (failures.length) {
+        // A skipped batch can hide conflicts, so the report must not read as complete
+        panel.webview.postMessage({
+          command: 'showError',
+          message: `${failures.length} request${failures.length === 1 ? '' : 's'} failed, so the report is incomplete: ${failures.join('; ')}`
+        });
+      } else {
+        panel.webview.postMessage({
+          command: 'showInfo',
+          message: total
+            ? `Found ${total} conflicting pair${total === 1 ? '' : 's'} among ${resources.size} VNets and hubs in ${subscriptions.length} subscriptions.`
+            : `No overlaps among ${resources.size} VNets and hubs in ${subscriptions.length} subscriptions.`
+        });
+      }
+    } catch (err: any) {
+      if (run.signal.aborted) {
+        panel.webview.postMessage({ command: 'showInfo', message: 'Report cancelled.' });
+      } else {
+        const msg = err?.message ?? String(err ?? 'Unknown error');
+        vscode.window.showErrorMessage(`Azure CIDR Analyzer error: ${msg}`);
+        panel.webview.postMessage({ command: 'showError', message: msg });
+      }
+    } finally {
+      if (activeRun === run) {
+        activeRun = undefined;
+        panel.webview.postMessage({ command: 'setLoading', value: false });
+      }
+    }
+  });
+}
+
+
+
+// =========================================================================
+// INTERNAL helpers
+// =========================================================================
+interface WebviewContentOptions {
+  nonce: string;
+  cspSource: string;
+  elementsSrc: string;
+  commonStyleSrc: string;
+  styleSrc: string;
+  scriptSrc: string;
+}
+
+function showWebviewContent(opts: WebviewContentOptions): string {
+  const { nonce, cspSource, elementsSrc, commonStyleSrc, styleSrc, scriptSrc } = opts;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src ${cspSource} https: data:; script-src 'nonce-${nonce}' ${cspSource}; style-src 'unsafe-inline' ${cspSource}; font-src ${cspSource} https: data:; connect-src ${cspSource} https:;">
+  <script type="module" nonce="${nonce}" src="${elementsSrc}"></script>
+  <link rel="stylesheet" href="${commonStyleSrc}" />
+  <link rel="stylesheet" href="${styleSrc}" />
+</head>
+<body>
+  <div class="layout">
+    <div class="top-bar">
+      <h1>Azure CIDR Overlap Report</h1>
+    </div>
+    <div class="header section-padding">
+      <vscode-form-helper>
+        <p>Compares the address space of every VNet and virtual hub in every subscription you can access. Subnets inside their own VNet are not reported. Conflicts are grouped by severity: <strong>identical</strong> address spaces, <strong>partial</strong> overlaps, and <strong>containment</strong> where one address space sits entirely inside another.</p>
+      </vscode-form-helper>
+      <div class="actions-row">
+        <vscode-button id="runBtn">Run report</vscode-button>
+        <vscode-button id="cancelBtn" secondary disabled>Cancel</vscode-button>
+      </div>
+      <div id="status" role="status"></div>
+    </div>
+    <div class="middle section-padding scrollable-y">
+      <div id="report"></div>
+    </div>
+  </div>
+  <script nonce="${nonce}" src="${scriptSrc}"></script>
+</body>
+</html>`;
+}
@@ -0,0 +1,140 @@
+/*****************************************************************************
+ *   Extension:   Microsoft Azure CIDRs Analyzer                             *
+ *   Author:      elelabdev                                                  *
+ *   Description: Query right from Visual Studio Code all Microsoft Azure    *
+ *                subscriptions and search for specific CIDRs in use.        *
+ *   Github:      https://github.com/elelabdev/microsoft-azure-cidr-analyzer *
+ *                                                                           *
+ *   Icon Author: elelab                                                     *
+ *                                                                           *
+ *   Copyright (C) 2025 elelab                                               *
+ *   https://www.elelab.dev                                                  *
+ *                                                                           *
+ *   Licensed under the MIT License. See LICENSE file in the project         *
+ *   root for details.                                                       *
+ ****************************************************************************/
+
+// src/test/azureCli.test.ts
+
+// =========================================================================
+// IMPORT libraries or modules
+// =========================================================================
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { getAzureCliToken } from '../helpers/azureCli';
+
+// Stands in for `az`: logs its arguments and answers according to FAKE_AZ_MODE
+const FAKE_AZ = `#!/usr/bin/env node
+const fs = require('fs');
+const args = process.argv.slice(2);
+fs.appendFileSync(process.env.FAKE_AZ_LOG, JSON.stringify(args) + '\\n');
+const option = name => { const i = args.indexOf(name); return i < 0 ? undefined : args[i + 1]; };
+switch (process.env.FAKE_AZ_MODE) {
+  case 'fail':
+    process.stderr.write("ERROR: Please run 'az login' to setup account.\\n");
+    process.exit(1);
+  case 'garbage':
+    process.stdout.write('not json');
+    break;
+  case 'empty':
+    process.stdout.write(JSON.stringify({ tokenType: 'Bearer' }));
+    break;
+  default:
+    process.stdout.write(JSON.stringify({
+      accessToken: 'token-for-' + option('--resource'),
+      expires_on: Math.floor(Date.now() / 1000) + 3600,
+      tenant: option('--tenant') || 'home-tenant'
+    }));
+}
+`;
+
+// =========================================================================
+// TESTS
+// =========================================================================
+// The fake CLI is a shebang script, which Windows cannot run as `az`
+(process.platform === 'win32' ? suite.skip : suite)('getAzureCliToken', () => {
+  const originalPath = process.env.PATH;
+  let binDir: string;
+  let logFile: string;
+
+  suiteSetup(() => {
+    binDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-az-'));
+    logFile = path.join(binDir, 'calls.log');
+    fs.writeFileSync(path.join(binDir, 'az'), FAKE_AZ, { mode: 0o755 });
+  });
+
+  setup(() => {
+    fs.writeFileSync(logFile, '');
+    process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+    process.env.FAKE_AZ_LOG = logFile;
+    delete process.env.FAKE_AZ_MODE;
+  });
+
+  teardown(() => {
+    process.env.PATH = originalPath;
+  });
+
+  suiteTeardown(() => {
+    delete process.env.FAKE_AZ_LOG;
+    delete process.env.FAKE_AZ_MODE;
+    fs.rmSync(binDir, { recursive: true, force: true });
+  });
+
+  function calls(): string[][] {
+    return fs.readFileSync(logFile, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  // Tokens are cached per resource and tenant, so each test asks for its own resource
+  test('reads the token, expiry and tenant from the CLI output', async () => {
+    const before = Date.now();
+    const token = await getAzureCliToken('https://parse.example');
+
+    assert.strictEqual(token.accessToken, 'token-for-https://parse.example');
+    assert.strictEqual(token.tenant, 'home-tenant');
+    assert.ok(token.expiresOn.getTime() >= before + 3500 * 1000);
+    assert.deepStrictEqual(calls(), [
+      ['account', 'get-access-token', '--resource', 'https://parse.example', '--output', 'json']
+    ]);
+  });
+
+  test('passes the tenant through', async () => {
+    const token = await getAzureCliToken('https://tenant.example', 'other-tenant');
+
+    assert.strictEqual(token.tenant, 'other-tenant');
+    assert.deepStrictEqual(calls()[0].slice(-2), ['--tenant', 'other-tenant']);
+  });
+
+  test('reuses a cached token until it nears expiry', async () => {
+    const first = await getAzureCliToken('https://cache.example');
+    const second = await getAzureCliToken('https://cache.example');
+    await getAzureCliToken('https://cache.example', 'other-tenant');
+
+    assert.strictEqual(second, first);
+    assert.strictEqual(calls().length, 2);
+  });
+
+  test('reports what the CLI wrote to stderr', async () => {
+    process.env.FAKE_AZ_MODE = 'fail';
+
+    await assert.rejects(
+      getAzureCliToken('https://fail.example'),
+      /^Error: Azure CLI failed: ERROR: Please run 'az login' to setup account\.$/
+    );
+  });
+
+  test('rejects output that is not a token', async () => {
+    process.env.FAKE_AZ_MODE = 'garbage';
+    await assert.rejects(getAzureCliToken('https://garbage.example'), /unexpected response: not json/);
+
+    process.env.FAKE_AZ_MODE = 'empty';
+    await assert.rejects(getAzureCliToken('https://empty.example'), /did not return an access token/);
+  });
+
+  test('explains when az is not installed', async () => {
+    process.env.PATH = path.join(binDir, 'missing');
+
+    await assert.rejects(getAzureCliToken('https://missing.example'), /was not found on PATH/);
+  });
+});
@@ -0,0 +1,86 @@
+/*****************************************************************************
+ *   Extension:   Microsoft Azure CIDRs Analyzer                             *
+ *   Author:      elelabdev                                                  *
+ *   Description: Query right from Visual Studio Code all Microsoft Azure    *
+ *                subscriptions and search for specific CIDRs in use.        *
+ *   Github:      https://github.com/elelabdev/microsoft-azure-cidr-analyzer *
+ *                                                                           *
+ *   Icon Author: elelab                                                     *
+ *                                                                           *
+ *   Copyright (C) 2025 elelab                                               *
+ *   https://www.elelab.dev                                                  *
+ *                                                                           *
+ *   Licensed under the MIT License. See LICENSE file in the project         *
+ *   root for details.                                                       *
+ ****************************************************************************/
+
+// src/test/capacity.test.ts
+
+// =========================================================================
+// IMPORT libraries or modules
+// =========================================================================
+import * as assert from 'assert';
+import { applyCapacityStats } from '../helpers/capacity';
+
+const VNET_TYPE = 'microsoft.network/virtualnetworks';
+const SUBNET_TYPE = 'microsoft.network/virtualnetworks/subnets';
+
+// =========================================================================
+// TESTS
+// =========================================================================
+suite('applyCapacityStats', () => {
+  test('reports the share of VNet space allocated to subnets', () => {
+    const row = applyCapacityStats({
+      type: VNET_TYPE,
+      addressSpacePrefixes: ['10.0.0.0/16'],
+      capacityPrefixes: ['10.0.0.0/18', '10.0.64.0/18', '10.0.32.0/24']
+    });
+
+    assert.strictEqual(row.subnetAllocationPercent, 50);
+    assert.ok(!('capacityPrefixes' in row) && !('addressSpacePrefixes' in row));
+  });
+
+  test('measures a dual-stack VNet on its IPv4 space', () => {
+    const row = applyCapacityStats({
+      type: VNET_TYPE,
+      addressSpacePrefixes: ['10.0.0.0/16', 'fd00::/48'],
+      capacityPrefixes: ['10.0.0.0/17', 'fd00::/64']
+    });
+
+    assert.strictEqual(row.subnetAllocationPercent, 50);
+  });
+
+  test('measures an IPv6-only VNet on its IPv6 space', () => {
+    const row = applyCapacityStats({
+      type: VNET_TYPE,
+      addressSpacePrefixes: ['fd00::/48'],
+      capacityPrefixes: ['fd00::/49']
+    });
+
+    assert.strictEqual(row.subnetAllocationPercent, 50);
+  });
+
+  test('leaves the percentage blank without address space', () => {
+    const row = applyCapacityStats({ type: VNET_TYPE, addressSpacePrefixes: null, capacityPrefixes: [] });
+
+    assert.strictEqual(row.subnetAllocationPercent, null);
+  });
+
+  test('subtracts the Azure reserved addresses from subnet capacity', () => {
+    const row = applyCapacityStats({
+      type: SUBNET_TYPE,
+      ipConfigurationCount: 50,
+      capacityPrefixes: ['10.0.0.0/24', 'fd00::/64']
+    });
+
+    assert.strictEqual(row.usableIps, 251);
+    assert.strictEqual(row.usedIps, 50);
+    assert.strictEqual(row.utilisationPercent, 19.9);
+  });
+
+  test('keeps IPv6-only subnet capacity as text once it is too large for a number', () => {
+    const row = applyCapacityStats({ type: SUBNET_TYPE, ipConfigurationCount: 0, capacityPrefixes: ['fd00::/64'] });
+
+    assert.strictEqual(row.usableIps, ((1n << 64n) - 5n).toString());
+  });
+});
@@ -0,0 +1,200 @@
+/*****************************************************************************
+ *   Extension:   Microsoft Azure CIDRs Analyzer                             *
+ *   Author:      elelabdev                                                  *
+ *   Description: Query right from Visual Studio Code all Microsoft Azure    *
+ *                subscriptions and search for specific CIDRs in use.        *
+ *   Github:      https://github.com/elelabdev/microsoft-azure-cidr-analyzer *
+ *                                                                           *
+ *   Icon Author: elelab                                                     *
+ *                                                                           *
+ *   Copyright (C) 2025 elelab                                               *
+ *   https://www.elelab.dev                                                  *
+ *                                                                           *
+ *   Licensed under the MIT License. See LICENSE file in the project         *
+ *   root for details.                                                       *
+ ****************************************************************************/
+
+// src/test/cidr.test.ts
+
+// =========================================================================
+// IMPORT libraries or modules
+// =========================================================================
+import * as assert from 'assert';
+import {
+  IpRange,
+  findFreeSpace,
+  formatAddress,
+  formatIpRange,
+  mergeRanges,
+  normalizeSearchEntry,
+  parseIpRange,
+  parseIpv4,
+  parseIpv6,
+  rangeToPrefixes,
+  toAddressCount
+} from '../helpers/cidr';
+
+// =========================================================================
+// TESTS
+// =========================================================================
+function range(value: string): IpRange {
+  const parsed = parseIpRange(value);
+  assert.ok(parsed, `${value} should parse`);
+  return parsed;
+}
+
+function format(ranges: IpRange[]): string[] {
+  return ranges.map(formatIpRange);
+}
+
+suite('cidr: addresses', () => {
+  test('parses IPv4 and rejects malformed octets', () => {
+    assert.strictEqual(parseIpv4('10.1.2.3'), 0x0a010203n);
+    assert.strictEqual(parseIpv4('255.255.255.255'), 0xffffffffn);
+    assert.strictEqual(parseIpv4('256.0.0.1'), undefined);
+    assert.strictEqual(parseIpv4('10.0.0'), undefined);
+    assert.strictEqual(parseIpv4('10.0.0.-1'), undefined);
+  });
+
+  test('expands :: wherever it appears', () => {
+    assert.strictEqual(parseIpv6('::'), 0n);
+    assert.strictEqual(parseIpv6('::1'), 1n);
+    assert.strictEqual(parseIpv6('2001:db8::'), 0x20010db8n << 96n);
+    assert.strictEqual(parseIpv6('2001:db8::1:0:0:1'), parseIpv6('2001:0db8:0000:0000:0001:0000:0000:0001'));
+    assert.strictEqual(parseIpv6('1::2::3'), undefined);
+    assert.strictEqual(parseIpv6('1:2:3:4:5:6:7::8'), undefined);
+    assert.strictEqual(parseIpv6('1:2:3:4:5:6:7'), undefined);
+  });
+
+  test('compresses the longest zero run, leftmost on ties', () => {
+    const cases: [string, string][] = [
+      ['0:0:0:0:0:0:0:0', '::'],
+      ['0:0:0:0:0:0:0:1', '::1'],
+      ['2001:db8:0:0:0:0:0:0', '2001:db8::'],
+      ['2001:db8:0:0:1:0:0:1', '2001:db8::1:0:0:1'],
+      ['2001:0:0:1:0:0:0:1', '2001:0:0:1::1'],
+      // A single zero group is never compressed
+      ['2001:db8:0:1:1:1:1:1', '2001:db8:0:1:1:1:1:1'],
+      ['2001:DB8::00AB', '2001:db8::ab']
+    ];
+    for (const [input, expected] of cases) {
+      assert.strictEqual(formatAddress(parseIpv6(input)!, 6), expected, input);
+    }
+  });
+
+  test('round-trips IPv4-mapped addresses in dotted notation', () => {
+    const mapped = parseIpv6('::ffff:192.0.2.1');
+    assert.strictEqual(mapped, parseIpv6('::ffff:c000:201'));
+    assert.strictEqual(mapped, (0xffffn << 32n) | parseIpv4('192.0.2.1')!);
+    assert.strictEqual(formatAddress(mapped!, 6), '::ffff:192.0.2.1');
+    assert.strictEqual(formatIpRange(range('::ffff:10.0.0.0/104')), '::ffff:10.0.0.0/104');
+    // Only the trailing group may be written as IPv4
+    assert.strictEqual(parseIpv6('::1.2.3.4:ffff'), undefined);
+  });
+});
+
+suite('cidr: ranges', () => {
+  test('covers everything with /0', () => {
+    assert.deepStrictEqual(range('0.0.0.0/0'), { family: 4, start: 0n, end: 0xffffffffn, prefixLength: 0 });
+    assert.deepStrictEqual(range('::/0'), { family: 6, start: 0n, end: (1n << 128n) - 1n, prefixLength: 0 });
+  });
+
+  test('treats /32 and /128 as a single address', () => {
+    const v4 = range('10.0.0.1/32');
+    assert.strictEqual(v4.start, v4.end);
+    assert.strictEqual(formatIpRange(v4), '10.0.0.1/32');
+
+    const v6 = range('2001:db8::1/128');
+    assert.strictEqual(v6.start, v6.end);
+    assert.strictEqual(formatIpRange(v6), '2001:db8::1/128');
+
+    assert.strictEqual(parseIpRange('10.0.0.1/33'), undefined);
+    assert.strictEqual(parseIpRange('2001:db8::/129'), undefined);
+  });
+
+  test('clears host bits and reads address ranges', () => {
+    assert.strictEqual(formatIpRange(range('10.1.2.3/16')), '10.1.0.0/16');
+    assert.strictEqual(formatIpRange(range('10.0.0.1-10.0.0.10')), '10.0.0.1-10.0.0.10');
+    assert.strictEqual(parseIpRange('10.0.0.10-10.0.0.1'), undefined);
+  });
+
+  test('splits a non-aligned range into the fewest prefixes', () => {
+    assert.deepStrictEqual(format(rangeToPrefixes(range('10.0.0.1-10.0.0.10'))), [
+      '10.0.0.1/32',
+      '10.0.0.2/31',
+      '10.0.0.4/30',
+      '10.0.0.8/31',
+      '10.0.0.10/32'
+    ]);
+    assert.deepStrictEqual(format(rangeToPrefixes(range('10.0.0.0-10.0.1.255'))), ['10.0.0.0/23']);
+    assert.deepStrictEqual(format(rangeToPrefixes(range('0.0.0.0/0'))), ['0.0.0.0/0']);
+    assert.deepStrictEqual(format(rangeToPrefixes(range('2001:db8::ffff-2001:db8::1:0'))), [
+      '2001:db8::ffff/128',
+      '2001:db8::1:0/128'
+    ]);
+  });
+
+  test('merges touching and overlapping ranges but keeps gaps and families apart', () => {
+    const merged = mergeRanges([
+      range('10.0.1.0/24'),
+      range('10.0.0.0/24'),
+      range('10.0.1.128/25'),
+      range('10.0.3.0/24'),
+      range('2001:db8::/64'),
+      range('10.0.2.0-10.0.2.9')
+    ]);
+    assert.deepStrictEqual(format(merged), [
+      '10.0.0.0-10.0.2.9',
+      '10.0.3.0-10.0.3.255',
+      '2001:db8::-2001:db8::ffff:ffff:ffff:ffff'
+    ]);
+  });
+});
+
+suite('cidr: free space', () => {
+  test('lists the gaps between allocations and the first aligned blocks', () => {
+    const parent = range('10.0.0.0/16');
+    const result = findFreeSpace(parent, [range('10.0.0.0/24'), range('10.0.1.0/25'), range('10.0.4.0/22')], 24, 3);
+
+    assert.deepStrictEqual(format(result.free), [
+      '10.0.1.128/25',
+      '10.0.2.0/23',
+      '10.0.8.0/21',
+      '10.0.16.0/20',
+      '10.0.32.0/19',
+      '10.0.64.0/18',
+      '10.0.128.0/17'
+    ]);
+    assert.deepStrictEqual(format(result.candidates), ['10.0.2.0/24', '10.0.3.0/24', '10.0.8.0/24']);
+  });
+
+  test('clips allocations that spill past the parent', () => {
+    const result = findFreeSpace(range('10.0.0.0/24'), [range('10.0.0.0/16')], 26, 4);
+
+    assert.deepStrictEqual(result.free, []);
+    assert.deepStrictEqual(result.candidates, []);
+  });
+
+  test('rejects a block larger than the parent', () => {
+    assert.throws(() => findFreeSpace(range('10.0.0.0/24'), [], 16, 1), /between \/24 and \/32/);
+  });
+});
+
+suite('cidr: address counts', () => {
+  test('stays numeric up to the largest exact integer', () => {
+    assert.strictEqual(toAddressCount(256n), 256);
+    assert.strictEqual(toAddressCount(BigInt(Number.MAX_SAFE_INTEGER)), Number.MAX_SAFE_INTEGER);
+    assert.strictEqual(toAddressCount(1n << 64n), '18446744073709551616');
+  });
+});
+
+suite('cidr: search entries', () => {
+  test('canonicalises what the user typed', () => {
+    assert.deepStrictEqual(normalizeSearchEntry('10.0.0.5/24').prefixes, ['10.0.0.0/24']);
+    assert.deepStrictEqual(normalizeSearchEntry('10.0.0.5').prefixes, ['10.0.0.5/32']);
+    assert.deepStrictEqual(normalizeSearchEntry('2001:DB8:0::/32').prefixes, ['2001:db8::/32']);
+    assert.deepStrictEqual(normalizeSearchEntry('10.0.0.1-10.0.0.3').prefixes, ['10.0.0.1/32', '10.0.0.2/31']);
+    assert.strictEqual(normalizeSearchEntry('10.0.*').wildcard, true);
+    assert.ok(normalizeSearchEntry('10.0.0.0/40').error);
+  });
+});
@@ -0,0 +1,136 @@
+/*****************************************************************************
+ *   Extension:   Microsoft Azure CIDRs Analyzer                             *
+ *   Author:      elelabdev                                                  *
+ *   Description: Query right from Visual Studio Code all Microsoft Azure    *
+ *                subscriptions and search for specific CIDRs in use.        *
+ *   Github:      https://github.com/elelabdev/microsoft-azure-cidr-analyzer *
+ *                                                                           *
+ *   Icon Author: elelab                                                     *
+ *                                                                           *
+ *   Copyright (C) 2025 elelab                                               *
+ *   https://www.elelab.dev                                                  *
+ *                                                                           *
+ *   Licensed under the MIT License. See LICENSE file in the project         *
+ *   root for details.                                                       *
+ ****************************************************************************/
+
+// src/test/http.test.ts
+
+// =========================================================================
+// IMPORT libraries or modules
+// =========================================================================
+import * as assert from 'assert';
+import { AddressInfo } from 'net';
+import { IncomingMessage, Server, ServerResponse, createServer } from 'http';
+import { RetryWaitInfo, fetchWithRetry } from '../helpers/http';
+
+type Handler = (req: IncomingMessage, res: ServerResponse) => void;
+
+// =========================================================================
+// TESTS
+// =========================================================================
+suite('fetchWithRetry', () => {
+  let server: Server | undefined;
+
+  teardown(() => {
+    server?.closeAllConnections();
+    server?.close();
+    server = undefined;
+  });
+
+  // Each test gets its own port, so the per-origin quota gate never leaks between tests
+  async function serve(handlers: Handler[]): Promise<{ url: string; requests: () => number }> {
+    let count = 0;
+    server = createServer((req, res) => {
+      const handler = handlers[Math.min(count, handlers.length - 1)];
+      count += 1;
+      handler(req, res);
+    });
+    await new Promise<void>(resolve => server!.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address() as AddressInfo;
+    return { url: `http://127.0.0.1:${port}/`, requests: () => count };
+  }
+
+  function reply(status: number, headers: Record<string, string> = {}): Handler {
+    return (_req, res) => {
+      res.writeHead(status, headers);
+      res.end(JSON.stringify({ status }));
+    };
+  }
+
+  test('retries a 429 after the Retry-After delay', async () => {
+    const { url, requests } = await serve([reply(429, { 'Retry-After': '0' }), reply(200)]);
+    const waits: RetryWaitInfo[] = [];
+
+    const response = await fetchWithRetry(url, {}, { onWait: info => waits.push(info) });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(requests(), 2);
+    assert.deepStrictEqual(waits, [{ reason: 'throttled', delayMs: 0, attempt: 1, status: 429 }]);
+  });
+
+  test('backs off on a 5xx without Retry-After', async () => {
+    const { url } = await serve([reply(503), reply(200)]);
+    const waits: RetryWaitInfo[] = [];
+
+    const response = await fetchWithRetry(url, {}, { onWait: info => waits.push(info) });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(waits.length, 1);
+    assert.strictEqual(waits[0].reason, 'serverError');
+    assert.strictEqual(waits[0].status, 503);
+    // First step is one second, half of it randomised
+    assert.ok(waits[0].delayMs >= 500 && waits[0].delayMs <= 1000, `unexpected delay ${waits[0].delayMs}`);
+  });
+
+  test('returns the last response once retries run out', async () => {
+    const { url, requests } = await serve([reply(429, { 'Retry-After': '0' })]);
+
+    const response = await fetchWithRetry(url, {}, { maxRetries: 2 });
+
+    assert.strictEqual(response.status, 429);
+    assert.strictEqual(requests(), 3);
+  });
+
+  test('does not retry a client error', async () => {
+    const { url, requests } = await serve([reply(400), reply(200)]);
+
+    const response = await fetchWithRetry(url, {});
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(requests(), 1);
+  });
+
+  test('stops waiting as soon as the caller aborts', async () => {
+    const { url, requests } = await serve([reply(429, { 'Retry-After': '30' }), reply(200)]);
+    const controller = new AbortController();
+    const started = Date.now();
+
+    const pending = fetchWithRetry(url, { signal: controller.signal }, {
+      onWait: () => setTimeout(() => controller.abort(), 20)
+    });
+
+    await assert.rejects(pending, (err: Error) => err.name === 'AbortError');
+    assert.ok(Date.now() - started < 5000, 'the Retry-After wait was not interrupted');
+    assert.strictEqual(requests(), 1);
+  });
+
+  test('holds later calls until an exhausted quota resets', async () => {
+    const { url, requests } = await serve([
+      reply(200, { 'x-ms-user-quota-remaining': '0', 'x-ms-user-quota-resets-after': '00:00:00.300' }),
+      reply(200)
+    ]);
+    const waits: RetryWaitInfo[] = [];
+
+    await fetchWithRetry(url, {});
+    const started = Date.now();
+    const response = await fetchWithRetry(url, {}, { onWait: info => waits.push(info) });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(requests(), 2);
+    assert.strictEqual(waits.length, 1);
+    assert.strictEqual(waits[0].reason, 'quota');
+    assert.ok(waits[0].delayMs > 0 && waits[0].delayMs <= 300, `unexpected delay ${waits[0].delayMs}`);
+    assert.ok(Date.now() - started >= waits[0].delayMs - 20, 'the call was not held back');
+  });
+});
@@ -0,0 +1,57 @@
+/*****************************************************************************
+ *   Extension:   Microsoft Azure CIDRs Analyzer                             *
+ *   Author:      elelabdev                                                  *
+ *   Description: Query right from Visual Studio Code all Microsoft Azure    *
+ *                subscriptions and search for specific CIDRs in use.        *
+ *   Github:      https://github.com/elelabdev/microsoft-azure-cidr-analyzer *
+ *                                                                           *
+ *   Icon Author: elelab                                                     *
+ *                                                                           *
+ *   Copyright (C) 2025 elelab                                               *
+ *   https://www.elelab.dev                                                  *
+ *                                                                           *
+ *   Licensed under the MIT License. See LICENSE file in the project         *
+ *   root for details.                                                       *
+ ****************************************************************************/
+
+// src/test/report.test.ts
+
+// =========================================================================
+// IMPORT libraries or modules
+// =========================================================================
+import * as assert from 'assert';
+import { ReportData, renderReport } from '../helpers/report';
+
+const REPORT: ReportData = {
+  title: 'Azure CIDR report',
+  generatedAt: new Date('2025-01-01T00:00:00Z'),
+  criteria: [['CIDRs', '10.0.0.0/16']],
+  status: { columns: ['Subscription', 'Status'], rows: [] },
+  results: {
+    columns: ['name', 'prefixStr'],
+    rows: [['vnet|hub', '10.0.0.0/16'], ['<spoke>', '10.0.1.0/24']]
+  }
+};
+
+// =========================================================================
+// TESTS
+// =========================================================================
+suite('renderReport', () => {
+  test('styles every HTML element inline so pasted reports keep their look', () => {
+    const html = renderReport(REPORT, 'html');
+
+    assert.ok(!html.includes('<style'), 'editors drop <style> blocks on paste');
+    assert.ok(!/class="/.test(html), 'classes have no stylesheet to resolve against');
+    for (const tag of ['table', 'th', 'td', 'h1', 'h2']) {
+      assert.ok(!new RegExp(`<${tag}>`).test(html), `<${tag}> without an inline style`);
+    }
+    assert.ok(html.includes('<td style="border: 1px solid #d0d7de; padding: 4px 8px; text-align: left; vertical-align: top;">&lt;spoke&gt;</td>'));
+  });
+
+  test('escapes table syntax in Markdown cells', () => {
+    const markdown = renderReport(REPORT, 'markdown');
+
+    assert.ok(markdown.includes('| vnet\\|hub | 10.0.0.0/16 |'));
+    assert.ok(markdown.includes('## Results (2)'));
+  });
+});
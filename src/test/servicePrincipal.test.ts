@@ -0,0 +1,147 @@
+/*****************************************************************************
+ *   Extension:   Microsoft Azure CIDRs Analyzer                             *
+ *   Author:      elelabdev                                                  *
+ *   Description: Query right from Visual Studio Code all Microsoft Azure    *
+ *                subscriptions and search for specific CIDRs in use.        *
+ *   Github:      https://github.com/elelabdev/microsoft-azure-cidr-analyzer *
+ *                                                                           *
+ *   Icon Author: elelab                                                     *
+ *                                                                           *
+ *   Copyright (C) 2025 elelab                                               *
+ *   https://www.elelab.dev                                                  *
+ *                                                                           *
+ *   Licensed under the MIT License. See LICENSE file in the project         *
+ *   root for details.                                                       *
+ ****************************************************************************/
+
+// src/test/servicePrincipal.test.ts
+
+// =========================================================================
+// IMPORT libraries or modules
+// =========================================================================
+import * as assert from 'assert';
+import { AddressInfo } from 'net';
+import { Server, createServer } from 'http';
+import { ServicePrincipalOptions, getServicePrincipalToken } from '../helpers/servicePrincipal';
+
+interface TokenRequest {
+  method?: string;
+  url?: string;
+  contentType?: string;
+  form: URLSearchParams;
+}
+
+// =========================================================================
+// TESTS
+// =========================================================================
+suite('getServicePrincipalToken', () => {
+  let server: Server;
+  let authority: string;
+  let requests: TokenRequest[];
+  let answer: { status: number; body: string };
+
+  // A stand-in for the Entra ID token endpoint that records every request
+  suiteSetup(async () => {
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({
+          method: req.method,
+          url: req.url,
+          contentType: req.headers['content-type'],
+          form: new URLSearchParams(body)
+        });
+        res.writeHead(answer.status, { 'Content-Type': 'application/json' });
+        res.end(answer.body);
+      });
+    });
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    authority = `http://127.0.0.1:${(server.address() as AddressInfo).port}/`;
+  });
+
+  setup(() => {
+    requests = [];
+    answer = { status: 200, body: JSON.stringify({ access_token: 'sp-token', expires_in: 3600 }) };
+  });
+
+  suiteTeardown(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  // Tokens are cached per endpoint, client and scope, so each test uses its own client id
+  function options(clientId: string, overrides: Partial<ServicePrincipalOptions> = {}): ServicePrincipalOptions {
+    return {
+      authority,
+      tenantId: 'contoso.onmicrosoft.com',
+      clientId,
+      scope: 'https://management.azure.com/.default',
+      clientSecret: 'secret-value',
+      ...overrides
+    };
+  }
+
+  test('posts the client-credentials form to the tenant token endpoint', async () => {
+    const token = await getServicePrincipalToken(options('form-client'));
+
+    assert.strictEqual(token, 'sp-token');
+    assert.strictEqual(requests.length, 1);
+    const [request] = requests;
+    assert.strictEqual(request.method, 'POST');
+    assert.strictEqual(request.url, '/contoso.onmicrosoft.com/oauth2/v2.0/token');
+    assert.strictEqual(request.contentType, 'application/x-www-form-urlencoded');
+    assert.deepStrictEqual(Object.fromEntries(request.form), {
+      grant_type: 'client_credentials',
+      client_id: 'form-client',
+      scope: 'https://management.azure.com/.default',
+      client_secret: 'secret-value'
+    });
+  });
+
+  test('reuses a cached token until it nears expiry', async () => {
+    await getServicePrincipalToken(options('cache-client'));
+    await getServicePrincipalToken(options('cache-client'));
+    await getServicePrincipalToken(options('cache-client', { scope: 'https://graph.example/.default' }));
+
+    assert.strictEqual(requests.length, 2);
+  });
+
+  test('asks again once the cached token is inside the expiry skew', async () => {
+    answer.body = JSON.stringify({ access_token: 'short-token', expires_in: 60 });
+
+    await getServicePrincipalToken(options('skew-client'));
+    await getServicePrincipalToken(options('skew-client'));
+
+    assert.strictEqual(requests.length, 2);
+  });
+
+  test('reports the error description from a failed sign-in', async () => {
+    answer = {
+      status: 401,
+      body: JSON.stringify({ error: 'invalid_client', error_description: 'AADSTS7000215: Invalid client secret provided.' })
+    };
+
+    await assert.rejects(
+      getServicePrincipalToken(options('denied-client')),
+      { message: 'Service principal sign-in failed: AADSTS7000215: Invalid client secret provided.' }
+    );
+  });
+
+  test('falls back to the raw body when the failure is not JSON', async () => {
+    answer = { status: 502, body: 'Bad gateway' };
+
+    await assert.rejects(
+      getServicePrincipalToken(options('gateway-client')),
+      { message: 'Service principal sign-in failed: Bad gateway' }
+    );
+  });
+
+  test('refuses to sign in without a secret or certificate', async () => {
+    await assert.rejects(
+      getServicePrincipalToken(options('bare-client', { clientSecret: undefined })),
+      /No client secret or certificate/
+    );
+    assert.strictEqual(requests.length, 0);
+  });
+});